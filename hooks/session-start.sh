@@ -5,9 +5,27 @@
 
 PROJECT_DIR="$(pwd)"
 
-# 1. Inject observations
-if [ -f "$PROJECT_DIR/OBSERVATIONS.md" ]; then
-  cat "$PROJECT_DIR/OBSERVATIONS.md"
+# Memory is either OBSERVATIONS.md or, in the topic layout, .claude/memory/
+# (INDEX.md plus one file per topic)
+MEMORY_DIR="$PROJECT_DIR/.claude/memory"
+if [ -f "$MEMORY_DIR/INDEX.md" ]; then
+  MEMORY_FILE="$MEMORY_DIR/INDEX.md"
+else
+  MEMORY_FILE="$PROJECT_DIR/OBSERVATIONS.md"
+fi
+
+# 1. Inject observations (trimmed to the project's injection budget)
+if [ -f "$MEMORY_FILE" ]; then
+  if command -v claude-memory > /dev/null 2>&1 && INJECTED=$(claude-memory inject "$PROJECT_DIR" 2>/dev/null); then
+    printf '%s\n' "$INJECTED"
+  elif [ "$MEMORY_FILE" = "$MEMORY_DIR/INDEX.md" ]; then
+    cat "$MEMORY_DIR/INDEX.md"
+    for f in "$MEMORY_DIR"/*.md; do
+      [ "$f" = "$MEMORY_DIR/INDEX.md" ] || { echo ""; cat "$f"; }
+    done
+  else
+    cat "$MEMORY_FILE"
+  fi
 else
   echo "No observations yet. This is a fresh project with no observational memory built up."
 fi
@@ -20,10 +38,10 @@ if ! pgrep -f "claude-memory-daemon" > /dev/null 2>&1; then
   echo "Start it with: claude-memory start"
 fi
 
-# 3. Staleness check
-if [ -f "$PROJECT_DIR/OBSERVATIONS.md" ]; then
+# 3. Staleness check (the index is rewritten on every change in the topic layout)
+if [ -f "$MEMORY_FILE" ]; then
   # Cross-platform stat: try GNU stat first, fall back to BSD
-  OBS_MTIME=$(stat -c %Y "$PROJECT_DIR/OBSERVATIONS.md" 2>/dev/null || stat -f %m "$PROJECT_DIR/OBSERVATIONS.md" 2>/dev/null || echo 0)
+  OBS_MTIME=$(stat -c %Y "$MEMORY_FILE" 2>/dev/null || stat -f %m "$MEMORY_FILE" 2>/dev/null || echo 0)
   OBS_AGE=$(( $(date +%s) - OBS_MTIME ))
   if [ "$OBS_AGE" -gt 604800 ]; then
     echo ""
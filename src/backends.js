@@ -0,0 +1,256 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import config from './config.js';
+
+/**
+ * LLM backends for the Observer and Reflector passes.
+ *
+ * A backend is described by a plain spec object stored per project in
+ * projects.json (`observerBackend` / `reflectorBackend`):
+ *
+ *   { type: 'claude-cli', model? }                         — `claude -p` (default)
+ *   { type: 'anthropic', model, baseUrl?, apiKeyEnv?, maxTokens? }
+ *                                                           — Anthropic Messages API
+ *   { type: 'openai', model, baseUrl?, apiKeyEnv? }         — OpenAI-compatible chat
+ *                                                             completions (Ollama, vLLM, ...)
+ *   { type: 'mock', responses?, file? }                     — replays canned responses
+ */
+const BACKENDS = {
+  'claude-cli': completeClaudeCli,
+  anthropic: completeAnthropic,
+  openai: completeOpenAI,
+  mock: completeMock,
+};
+
+export const BACKEND_TYPES = Object.keys(BACKENDS);
+
+/**
+ * Resolve the backend spec for a pass ('observer' or 'reflector') of a project.
+ */
+export function backendFor(project, pass) {
+  const key = pass === 'reflector' ? 'reflectorBackend' : 'observerBackend';
+  return project?.[key] || config.DEFAULT_BACKEND;
+}
+
+/**
+ * Run a single completion and return the raw response text.
+ * Throws on transport or API errors, and when `signal` aborts.
+ */
+export async function complete(spec, { systemPrompt, input, signal }) {
+  const backend = BACKENDS[spec?.type];
+  if (!backend) {
+    throw new Error(`Unknown backend type: ${spec?.type}`);
+  }
+  signal?.throwIfAborted();
+  return backend(spec, { systemPrompt, input, signal });
+}
+
+/**
+ * Parse a backend spec from the CLI.
+ * Accepts JSON (`{"type":"openai","model":"qwen2.5"}`) or the shorthand
+ * `<type>[:<model>]`, plus `ollama:<model>` and `mock:<file>`.
+ */
+export function parseBackendSpec(value) {
+  if (!value) {
+    throw new Error('Backend value is required');
+  }
+
+  let spec;
+  if (value.trim().startsWith('{')) {
+    try {
+      spec = JSON.parse(value);
+    } catch (err) {
+      throw new Error(`Invalid backend JSON: ${err.message}`);
+    }
+  } else {
+    const sep = value.indexOf(':');
+    const type = sep === -1 ? value : value.slice(0, sep);
+    const arg = sep === -1 ? '' : value.slice(sep + 1);
+
+    if (type === 'ollama') {
+      spec = { type: 'openai', baseUrl: config.OLLAMA_BASE_URL };
+      if (arg) spec.model = arg;
+    } else if (type === 'mock') {
+      spec = arg ? { type: 'mock', file: arg } : { type: 'mock' };
+    } else {
+      spec = { type };
+      if (arg) spec.model = arg;
+    }
+  }
+
+  if (!BACKENDS[spec.type]) {
+    throw new Error(`Unknown backend type: ${spec.type} (available: ${BACKEND_TYPES.join(', ')}, ollama)`);
+  }
+  if ((spec.type === 'anthropic' || spec.type === 'openai') && !spec.model) {
+    throw new Error(`The ${spec.type} backend requires a model, e.g. ${spec.type}:<model>`);
+  }
+  return spec;
+}
+
+/**
+ * One-line description of a backend spec for `config` and logs.
+ */
+export function describeBackend(spec) {
+  if (!spec) return 'claude-cli';
+  if (spec.type === 'mock') return spec.file ? `mock (${spec.file})` : 'mock';
+  const parts = [spec.type];
+  if (spec.model) parts.push(spec.model);
+  if (spec.baseUrl) parts.push(`@ ${spec.baseUrl}`);
+  return parts.join(' ');
+}
+
+// ---- Backend implementations ----
+
+function completeClaudeCli(spec, { systemPrompt, input, signal }) {
+  const args = [
+    '-p',
+    '--system-prompt', systemPrompt,
+    '--output-format', 'text',
+  ];
+  if (spec.model) {
+    args.push('--model', spec.model);
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn('claude', args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: config.LLM_TIMEOUT_MS,
+      signal,
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.setEncoding('utf-8');
+    child.stderr.setEncoding('utf-8');
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (stdout.length > config.LLM_MAX_RESPONSE_BYTES) {
+        child.kill('SIGTERM');
+      }
+    });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+    child.on('error', (err) => {
+      reject(signal?.aborted ? signal.reason : err);
+    });
+    child.on('close', (code, sig) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+      } else if (stdout.length > config.LLM_MAX_RESPONSE_BYTES) {
+        reject(new Error('claude -p output exceeded max buffer'));
+      } else if (code === 0) {
+        resolve(stdout);
+      } else {
+        const reason = sig ? `killed by ${sig}` : `exit code ${code}`;
+        reject(new Error(`claude -p ${reason}: ${stderr.trim().slice(0, 300)}`));
+      }
+    });
+
+    // The child may exit before reading stdin; the close handler reports that
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+async function completeAnthropic(spec, { systemPrompt, input, signal }) {
+  const baseUrl = (spec.baseUrl || config.ANTHROPIC_BASE_URL).replace(/\/$/, '');
+  const apiKey = process.env[spec.apiKeyEnv || 'ANTHROPIC_API_KEY'];
+  if (!apiKey) {
+    throw new Error(`No API key for anthropic backend (set ${spec.apiKeyEnv || 'ANTHROPIC_API_KEY'})`);
+  }
+
+  const data = await postJson(`${baseUrl}/v1/messages`, {
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01',
+  }, {
+    model: spec.model,
+    max_tokens: spec.maxTokens || config.LLM_MAX_OUTPUT_TOKENS,
+    system: systemPrompt,
+    messages: [{ role: 'user', content: input }],
+  }, signal);
+
+  return (data.content || [])
+    .filter(b => b.type === 'text')
+    .map(b => b.text)
+    .join('');
+}
+
+async function completeOpenAI(spec, { systemPrompt, input, signal }) {
+  const baseUrl = (spec.baseUrl || config.OPENAI_BASE_URL).replace(/\/$/, '');
+  const apiKey = process.env[spec.apiKeyEnv || 'OPENAI_API_KEY'];
+
+  const headers = {};
+  if (apiKey) {
+    headers.authorization = `Bearer ${apiKey}`;
+  }
+
+  const body = {
+    model: spec.model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: input },
+    ],
+  };
+  if (spec.maxTokens) {
+    body.max_tokens = spec.maxTokens;
+  }
+
+  const data = await postJson(`${baseUrl}/chat/completions`, headers, body, signal);
+  return data.choices?.[0]?.message?.content || '';
+}
+
+// Per-source call counters so the mock replays its responses in order
+const mockCursors = new Map();
+
+function completeMock(spec) {
+  let responses = spec.responses;
+  if (!responses && spec.file) {
+    const raw = fs.readFileSync(spec.file, 'utf-8');
+    try {
+      responses = JSON.parse(raw);
+    } catch {
+      responses = [raw];
+    }
+  }
+  if (!Array.isArray(responses)) {
+    responses = responses ? [responses] : [];
+  }
+  if (responses.length === 0) {
+    return 'NO_OBSERVATIONS';
+  }
+
+  const key = spec.file || JSON.stringify(responses);
+  const cursor = mockCursors.get(key) || 0;
+  mockCursors.set(key, cursor + 1);
+  return String(responses[cursor % responses.length]);
+}
+
+async function postJson(url, headers, body, signal) {
+  // Abort on the caller's signal or on our own per-request timeout
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`Request timed out: ${url}`)), config.LLM_TIMEOUT_MS);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    const text = await res.text();
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status} from ${url}: ${text.slice(0, 300)}`);
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error(`Invalid JSON response from ${url}`);
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,108 @@
+import config from './config.js';
+import { estimateTokens } from './tokens.js';
+
+/**
+ * Split transcript segments (one per message, as returned by
+ * parseConversationDelta) into token-bounded chunks.
+ *
+ * Chunks break on segment boundaries only. Each chunk after the first starts
+ * with the trailing segments of the previous chunk (up to overlapTokens) so the
+ * Observer keeps a little context across the cut. A single segment larger than
+ * maxTokens is split on line boundaries as a last resort.
+ *
+ * Returns an array of chunks { text, start, end, uuids, timestamp } covering
+ * the byte range and message uuids of their segments. Empty input returns [].
+ */
+export function chunkSegments(segments, maxTokens = config.OBSERVER_CHUNK_TOKENS, overlapTokens = config.OBSERVER_CHUNK_OVERLAP_TOKENS) {
+  const pieces = [];
+  for (const segment of segments) {
+    if (estimateTokens(segment.text) > maxTokens) {
+      for (const text of splitOversized(segment.text, maxTokens)) {
+        pieces.push({ ...segment, text });
+      }
+    } else {
+      pieces.push(segment);
+    }
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let overlapCount = 0; // leading pieces of `current` carried over from the previous chunk
+
+  for (const piece of pieces) {
+    const tokens = estimateTokens(piece.text);
+
+    if (current.length > overlapCount && currentTokens + tokens > maxTokens) {
+      chunks.push(joinPieces(current));
+
+      // Carry trailing pieces forward as overlap
+      const overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const size = estimateTokens(current[i].text);
+        if (overlapSize + size > overlapTokens || overlapSize + size + tokens > maxTokens) break;
+        overlap.unshift(current[i]);
+        overlapSize += size;
+      }
+      current = overlap;
+      currentTokens = overlapSize;
+      overlapCount = overlap.length;
+    }
+
+    current.push(piece);
+    currentTokens += tokens;
+  }
+
+  if (current.length > overlapCount) {
+    chunks.push(joinPieces(current));
+  }
+
+  return chunks;
+}
+
+function joinPieces(pieces) {
+  return {
+    text: pieces.map(p => p.text).join('\n'),
+    start: Math.min(...pieces.map(p => p.start)),
+    end: Math.max(...pieces.map(p => p.end)),
+    uuids: [...new Set(pieces.flatMap(p => p.uuids))],
+    timestamp: pieces.find(p => p.timestamp)?.timestamp || null,
+  };
+}
+
+/**
+ * Split one oversized segment text on line boundaries, hard-cutting lines that
+ * are themselves too long.
+ */
+function splitOversized(segment, maxTokens) {
+  const out = [];
+  let buf = '';
+  let bufTokens = 0;
+
+  for (let line of segment.split('\n')) {
+    let lineTokens = estimateTokens(line);
+    while (lineTokens > maxTokens) {
+      if (buf) {
+        out.push(buf);
+        buf = '';
+        bufTokens = 0;
+      }
+      // Cut proportionally to the line's token density
+      const cut = Math.max(1, Math.floor(line.length * maxTokens / lineTokens));
+      out.push(line.slice(0, cut));
+      line = line.slice(cut);
+      lineTokens = estimateTokens(line);
+    }
+    if (buf && bufTokens + lineTokens + 1 > maxTokens) {
+      out.push(buf);
+      buf = '';
+      bufTokens = 0;
+    }
+    buf = buf ? `${buf}\n${line}` : line;
+    bufTokens += lineTokens + 1;
+  }
+  if (buf) out.push(buf);
+
+  return out;
+}
@@ -12,20 +12,113 @@ export default {
 
   // Token threshold to trigger Reflector consolidation
   DEFAULT_REFLECTOR_THRESHOLD: 20000,
+  // Topic layout: the Reflector leaves topics smaller than this alone
+  REFLECTOR_MIN_TOPIC_TOKENS: 1000,
+
+  // Max tokens of observations the SessionStart hook injects into a session
+  DEFAULT_MAX_INJECTED_TOKENS: 12000,
+
+  // Reflector rewrite validation: a rewrite outside these bounds is sent
+  // back with feedback, and the original kept if no attempt passes
+  REFLECTOR_MAX_ATTEMPTS: 2,
+  REFLECTOR_MIN_SIZE_RATIO: 0.25, // output tokens / input tokens
+  REFLECTOR_MAX_SIZE_RATIO: 1.1,
+  REFLECTOR_MAX_LOST_FRACTION: 0.5, // per kind: paths, error strings, identifiers
+
+  // Snapshot history of OBSERVATIONS.md (state/<hash>/history)
+  HISTORY_MAX_SNAPSHOTS: 50,
+  HISTORY_MAX_AGE_DAYS: 30,
+  HISTORY_MIN_SNAPSHOTS: 10, // kept regardless of age
+
+  // Observer chunking for long conversation deltas (estimated tokens)
+  OBSERVER_CHUNK_TOKENS: 30000,
+  OBSERVER_CHUNK_OVERLAP_TOKENS: 1500,
+
+  // Streaming parser: conversation files are read in blocks, and one pass
+  // formats at most MAX_DELTA_CHARS; the rest is left for the next pass
+  READ_BLOCK_BYTES: 64 * 1024,
+  MAX_DELTA_CHARS: 1000000, // ~250k tokens
+  FORMAT_WINDOW_ENTRIES: 100, // max entries held back while an error chain or tool run is open
+
+  // Runs of at least RUN_MIN_CALLS successful calls to one of these tools
+  // are collapsed into a single summary
+  RUN_TOOLS: ['read', 'grep', 'glob', 'ls'],
+  RUN_MIN_CALLS: 3,
+  RUN_TARGETS_CHARS: 400,
+  RUN_RESULT_SNIPPET_CHARS: 160,
+  RUN_RESULT_SNIPPETS: 8, // targets shown with a snippet of their result
 
   // Max chars for truncated tool results in parser
   MAX_TOOL_RESULT_CHARS: 500,
 
+  // Tool call summaries: old/new snippet per edit, edits shown per MultiEdit,
+  // TodoWrite list length, arguments shown per MCP call
+  MAX_EDIT_SNIPPET_CHARS: 160,
+  MAX_SUMMARIZED_EDITS: 3,
+  MAX_TODO_SUMMARY_CHARS: 400,
+  MAX_SUMMARIZED_MCP_ARGS: 4,
+
+  // Max chars of a subagent's transcript and final report folded into its session
+  MAX_SUBAGENT_TRANSCRIPT_CHARS: 12000,
+  MAX_SUBAGENT_RESULT_CHARS: 3000,
+
+  // Max chars of a compaction summary shown to the Observer as context
+  MAX_CONTEXT_SUMMARY_CHARS: 2000,
+  // Session files whose scans (message uuids, summaries) are kept in memory
+  SESSION_CACHE_MAX_FILES: 50,
+
+  // Max chars of conversation excerpt shown per source by `trace`
+  TRACE_EXCERPT_CHARS: 3000,
+
   // Minimum JSONL file size to process (skip trivial sessions)
   MIN_FILE_SIZE_BYTES: 1024,
 
-  // Lock retry settings
+  // Bytes hashed at the start of a file and before its offset, to notice a
+  // conversation file that was rewritten or truncated
+  FINGERPRINT_BYTES: 4096,
+
+  // LLM backend used when a project doesn't configure one
+  DEFAULT_BACKEND: { type: 'claude-cli' },
+  LLM_TIMEOUT_MS: 10 * 60 * 1000, // 10 minutes per pass
+  LLM_MAX_OUTPUT_TOKENS: 8192,
+  LLM_MAX_RESPONSE_BYTES: 10 * 1024 * 1024, // 10MB
+  ANTHROPIC_BASE_URL: 'https://api.anthropic.com',
+  OPENAI_BASE_URL: 'https://api.openai.com/v1',
+  OLLAMA_BASE_URL: 'http://localhost:11434/v1',
+
+  // Daemon job scheduler
+  MAX_CONCURRENT_JOBS: 2, // across all projects; one job at a time per project
+  JOB_TIMEOUT_MS: 30 * 60 * 1000, // a job may run several LLM passes
+
+  // Retry queue for failed Observer passes
+  RETRY_POLL_MS: 60 * 1000,
+  RETRY_BASE_DELAY_MS: 5 * 60 * 1000, // 5m, 10m, 20m, ...
+  RETRY_MAX_DELAY_MS: 6 * 60 * 60 * 1000,
+  RETRY_MAX_ATTEMPTS: 6, // then moved to dead letters
+
+  // OBSERVATIONS.md lock (see lock.js)
   LOCK_RETRY_DELAY_MS: 5000,
-  LOCK_MAX_RETRIES: 12, // 1 minute total
+  LOCK_MAX_RETRIES: 12, // 1 minute total, then Observer appends are queued
+  LOCK_HEARTBEAT_MS: 30 * 1000, // holders refresh the lock's mtime this often
+  LOCK_STALE_MS: 2 * 60 * 1000, // a lock not refreshed for this long is taken over
+
+  // Locks around read-modify-write of state files and projects.json
+  FILE_LOCK_TIMEOUT_MS: 10 * 1000,
+  // The wait blocks the event loop, so the daemon gives up much sooner; what
+  // it was writing is retried with the next event
+  DAEMON_FILE_LOCK_TIMEOUT_MS: 500,
+  FILE_LOCK_STALE_MS: 30 * 1000, // a holder only keeps the lock for one write
 
   // File names
   OBSERVATIONS_FILE: 'OBSERVATIONS.md',
+  MEMORY_DIR: '.claude/memory', // topic layout: one file per topic plus an index
+  MEMORY_INDEX_FILE: 'INDEX.md',
+  DEFAULT_TOPIC: 'general',
   LOCK_FILE: '.claude/observations.lock',
+  PROJECT_FORMATTERS_DIR: '.claude/memory-formatters',
+  // Times a formatter plugin is re-imported after edits before the daemon
+  // needs a restart (imported modules are never freed)
+  MAX_FORMATTER_RELOADS: 20,
 
   // Global paths
   DAEMON_DIR,
@@ -33,6 +126,7 @@ export default {
   LOG_FILE: path.join(DAEMON_DIR, 'daemon.log'),
   PROJECTS_FILE: path.join(DAEMON_DIR, 'projects.json'),
   STATE_DIR: path.join(DAEMON_DIR, 'state'),
+  FORMATTERS_DIR: path.join(DAEMON_DIR, 'formatters'),
 
   // Claude Code conversation storage
   CLAUDE_PROJECTS_DIR: path.join(os.homedir(), '.claude', 'projects'),
@@ -0,0 +1,84 @@
+/**
+ * Minimal line diff for previewing OBSERVATIONS.md rewrites.
+ */
+
+/**
+ * Diff two texts line by line (longest common subsequence).
+ * Returns an array of { op, line } where op is ' ', '-' or '+'.
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ op: ' ', line: a[start + i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ op: '-', line: a[start + i] });
+      i++;
+    } else {
+      ops.push({ op: '+', line: b[start + j] });
+      j++;
+    }
+  }
+  return ops.concat(a.slice(endA).map(line => ({ op: ' ', line })));
+}
+
+/**
+ * Format a unified-style diff with `context` unchanged lines around each
+ * change. Returns '' if the texts are identical.
+ */
+export function formatDiff(before, after, { context = 3, fromLabel = 'before', toLabel = 'after' } = {}) {
+  const ops = diffLines(before, after);
+  const changed = ops.map((o, idx) => (o.op !== ' ' ? idx : -1)).filter(idx => idx !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const idx of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && idx - last.end <= context * 2) {
+      last.end = idx;
+    } else {
+      hunks.push({ start: idx, end: idx });
+    }
+  }
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length, hunk.end + context + 1);
+    lines.push('@@');
+    for (const { op, line } of ops.slice(from, to)) {
+      lines.push(`${op}${line}`);
+    }
+  }
+  return lines.join('\n');
+}
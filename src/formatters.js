@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import config from './config.js';
+
+/**
+ * Tool formatter plugins.
+ *
+ * JS modules in ~/.claude-memory/formatters/ (all projects) and, for
+ * projects that opt in with `projectFormatters`, a project's
+ * .claude/memory-formatters/ tell the parser how to show tool calls it has no
+ * built-in summary for. Each module's default export is called with a
+ * registry and registers tool-name patterns:
+ *
+ *   export default function register({ tool }) {
+ *     tool('mcp__deploy__*', {
+ *       summarize: (input) => `${input.service} → ${input.env}`,
+ *       result: (content, input) => content.split('\n').slice(-5).join('\n'),
+ *       maxSummaryChars: 300,
+ *       maxResultChars: 2000,
+ *     });
+ *   }
+ *
+ * Patterns are tool names with `*` wildcards (case-insensitive) or RegExps.
+ * All fields are optional: `summarize(input)` replaces the `[Tool: ...]`
+ * summary, `result(content, input)` rewrites the tool result text (return ''
+ * to hide it), and the max*Chars settings override truncation of the
+ * plugin's output or, without the hook, the built-in one. Project
+ * formatters are checked before global ones; the first match wins. A plugin
+ * that fails to load or throws is skipped and the built-in formatting is used.
+ */
+
+const warned = new Set();
+// file -> { hash, mod, reloads }: the loaded version of each module
+const modules = new Map();
+
+/**
+ * Load the formatters that apply to a registered project (global ones only
+ * unless it sets `projectFormatters`). A module is re-imported when its
+ * content changes, so edits apply to the next Observer pass. Node never
+ * frees an imported module, so after MAX_FORMATTER_RELOADS edits a module
+ * stays as it is until the daemon restarts.
+ * Returns an array of { pattern, summarize, result, maxSummaryChars, maxResultChars, source }.
+ */
+export async function loadFormatters(project) {
+  const dirs = [config.FORMATTERS_DIR];
+  if (project.projectFormatters) dirs.unshift(path.join(project.path, config.PROJECT_FORMATTERS_DIR));
+
+  const formatters = [];
+  for (const dir of dirs) {
+    for (const file of listModules(dir)) {
+      let hash = '';
+      try {
+        hash = crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex').slice(0, 12);
+        const mod = await importModule(file, hash);
+        if (typeof mod.default !== 'function') {
+          throw new Error('default export must be a function');
+        }
+        mod.default({
+          tool(pattern, spec) {
+            formatters.push({ ...spec, pattern: toRegExp(pattern), source: file });
+          },
+        });
+      } catch (err) {
+        warnOnce(`${file}:${hash}`, `[Formatters] Failed to load ${file}: ${err.message}`);
+      }
+    }
+  }
+  return formatters;
+}
+
+async function importModule(file, hash) {
+  const loaded = modules.get(file);
+  if (loaded?.hash === hash) return loaded.mod;
+  if (loaded && loaded.reloads >= config.MAX_FORMATTER_RELOADS) {
+    warnOnce(`${file}:reloads`, `[Formatters] ${file} changed ${loaded.reloads} times; restart the daemon to load newer edits`);
+    return loaded.mod;
+  }
+  const mod = await import(`${pathToFileURL(file).href}?v=${hash}`);
+  modules.set(file, { hash, mod, reloads: loaded ? loaded.reloads + 1 : 0 });
+  return mod;
+}
+
+function listModules(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .filter(f => /\.m?js$/.test(f))
+      .sort()
+      .map(f => path.join(dir, f));
+  } catch {
+    return [];
+  }
+}
+
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * The first formatter whose pattern matches a tool name, or null.
+ */
+export function findFormatter(formatters, toolName) {
+  if (!formatters || !toolName) return null;
+  return formatters.find(f => f.pattern.test(toolName)) || null;
+}
+
+/**
+ * Call a plugin hook, returning `fallback` if it throws or returns something
+ * other than a string.
+ */
+export function callFormatter(formatter, hook, args, fallback) {
+  if (typeof formatter?.[hook] !== 'function') return fallback;
+  try {
+    const value = formatter[hook](...args);
+    return typeof value === 'string' ? value : fallback;
+  } catch (err) {
+    warnOnce(`${formatter.source}:${hook}`, `[Formatters] ${hook} in ${formatter.source} failed: ${err.message}`);
+    return fallback;
+  }
+}
+
+function warnOnce(key, message) {
+  if (warned.has(key)) return;
+  warned.add(key);
+  console.warn(message);
+}
@@ -1,9 +1,14 @@
+import fs from 'fs';
+import path from 'path';
 import { execSync } from 'child_process';
 import config from './config.js';
 
 /**
- * Auto-commit OBSERVATIONS.md if the project is a git repo and the file is tracked.
- * Silently skips if not a git repo or if the file is gitignored.
+ * Auto-commit the project's memory (OBSERVATIONS.md and/or the
+ * .claude/memory/ topic files) if the project is a git repo. Paths that are
+ * gitignored are left out; deleted memory files are committed as deletions,
+ * so switching layouts commits cleanly.
+ * Silently skips if not a git repo or nothing is left to commit.
  */
 export function autoCommitObservations(projectPath) {
   try {
@@ -17,26 +22,38 @@ export function autoCommitObservations(projectPath) {
     return false;
   }
 
+  const paths = [config.OBSERVATIONS_FILE, config.MEMORY_DIR].filter(p =>
+    (fs.existsSync(path.join(projectPath, p)) || isTracked(projectPath, p)) && !isIgnored(projectPath, p)
+  );
+  if (paths.length === 0) return false;
+
+  const pathspec = paths.map(p => `"${p}"`).join(' ');
   try {
-    // Check if the file is gitignored
-    execSync(`git check-ignore -q "${config.OBSERVATIONS_FILE}"`, {
+    execSync(`git add -A -- ${pathspec} && git commit -m "chore: update observational memory" --no-verify -- ${pathspec}`, {
       cwd: projectPath,
       stdio: 'pipe',
     });
-    // Exit code 0 = file IS ignored, skip
+    return true;
+  } catch {
+    // Nothing to commit (no changes) or other git error
     return false;
+  }
+}
+
+function isTracked(projectPath, relPath) {
+  try {
+    return execSync(`git ls-files -- "${relPath}"`, { cwd: projectPath, stdio: 'pipe' }).toString().trim() !== '';
   } catch {
-    // Exit code 1 = file is NOT ignored, proceed with commit
+    return false;
   }
+}
 
+function isIgnored(projectPath, relPath) {
   try {
-    execSync(`git add "${config.OBSERVATIONS_FILE}" && git commit -m "chore: update observational memory" --no-verify -- "${config.OBSERVATIONS_FILE}"`, {
-      cwd: projectPath,
-      stdio: 'pipe',
-    });
+    // Exit code 0 = path IS ignored
+    execSync(`git check-ignore -q "${relPath}"`, { cwd: projectPath, stdio: 'pipe' });
     return true;
   } catch {
-    // Nothing to commit (no changes) or other git error
     return false;
   }
 }
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import { stateDir } from './state.js';
+import { syncRecords, saveRecords, storedRecords, importMarkdown, readMemoryFiles, memoryText, memoryLayout, writeMemoryFiles } from './records.js';
+
+/**
+ * Versioned snapshots of a project's memory, independent of git.
+ *
+ * Before each change to the memory (Observer append, Reflector pass,
+ * restore, layout switch) the current memory files and observation records
+ * are saved to state/<hash>/history/<version>.json:
+ *
+ *   { version: 12, createdAt, reason: 'reflect', layout, markdown, files, records }
+ *
+ * `markdown` is the memory as one text (OBSERVATIONS.md, or the topic
+ * layout's files joined); `files` maps each file's project-relative path to
+ * its content. Snapshots from before topics have neither `layout` nor
+ * `files` and are in the 'file' layout. `records` is null if the project had
+ * no records yet. Versions only increase; old snapshots are pruned
+ * by count and age.
+ */
+
+function historyDir(projectPath) {
+  return path.join(stateDir(projectPath), 'history');
+}
+
+function snapshotFile(projectPath, version) {
+  return path.join(historyDir(projectPath), `${version}.json`);
+}
+
+/**
+ * List snapshot versions, oldest first.
+ */
+export function listVersions(projectPath) {
+  try {
+    return fs.readdirSync(historyDir(projectPath))
+      .map(f => f.match(/^(\d+)\.json$/))
+      .filter(Boolean)
+      .map(m => parseInt(m[1]))
+      .sort((a, b) => a - b);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load one snapshot, or null if it doesn't exist.
+ */
+export function loadSnapshot(projectPath, version) {
+  try {
+    return JSON.parse(fs.readFileSync(snapshotFile(projectPath, version), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the memory as it is on disk now: { layout, markdown, files, records }.
+ * markdown is null if there are no memory files.
+ */
+function readCurrent(projectPath) {
+  const { layout, files } = readMemoryFiles(projectPath);
+  const records = storedRecords(projectPath);
+  const markdown = files.size > 0 ? memoryText(files) : null;
+  return { layout, markdown, files: Object.fromEntries(files), records };
+}
+
+/**
+ * Snapshot the current memory before it is changed. Skipped if there are no
+ * memory files yet, or nothing changed since the latest snapshot.
+ * Returns the new version number, or null.
+ */
+export function snapshot(projectPath, reason) {
+  const { layout, markdown, files, records } = readCurrent(projectPath);
+  if (markdown === null) return null;
+
+  const versions = listVersions(projectPath);
+  const latest = versions.length > 0 ? loadSnapshot(projectPath, versions[versions.length - 1]) : null;
+  if (latest && latest.markdown === markdown && JSON.stringify(latest.records) === JSON.stringify(records)) {
+    return null;
+  }
+
+  const version = (versions[versions.length - 1] || 0) + 1;
+  try {
+    fs.mkdirSync(historyDir(projectPath), { recursive: true });
+    const entry = { version, createdAt: new Date().toISOString(), reason, layout, markdown, files, records };
+    fs.writeFileSync(snapshotFile(projectPath, version), JSON.stringify(entry));
+  } catch (err) {
+    console.error('[History] Failed to save snapshot:', err.message);
+    return null;
+  }
+
+  pruneSnapshots(projectPath);
+  return version;
+}
+
+/**
+ * Drop snapshots beyond HISTORY_MAX_SNAPSHOTS, and those older than
+ * HISTORY_MAX_AGE_DAYS, always keeping the newest HISTORY_MIN_SNAPSHOTS.
+ */
+function pruneSnapshots(projectPath) {
+  const versions = listVersions(projectPath);
+  const cutoff = Date.now() - config.HISTORY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  versions.forEach((version, i) => {
+    const fromNewest = versions.length - 1 - i;
+    if (fromNewest < config.HISTORY_MIN_SNAPSHOTS) return;
+
+    let expired = fromNewest >= config.HISTORY_MAX_SNAPSHOTS;
+    if (!expired) {
+      const created = Date.parse(loadSnapshot(projectPath, version)?.createdAt);
+      expired = !(created >= cutoff);
+    }
+    if (expired) {
+      try { fs.unlinkSync(snapshotFile(projectPath, version)); } catch {}
+    }
+  });
+}
+
+/**
+ * Roll the memory and its records back to a snapshot. The current state is
+ * snapshotted first, so a restore can itself be undone, and the changes are
+ * recorded in the ledger as a 'restore' pass. The records are
+ * rendered in the project's current layout; the files are restored exactly
+ * (hand edits included) only if the snapshot was taken in that layout.
+ * Throws if the version doesn't exist, or predates records and was taken in
+ * another layout.
+ */
+export function restoreSnapshot(projectPath, version) {
+  const entry = loadSnapshot(projectPath, version);
+  if (!entry) {
+    throw new Error(`No snapshot version ${version}`);
+  }
+
+  const layout = memoryLayout(projectPath);
+  const sameLayout = (entry.layout || 'file') === layout;
+  if (!entry.records && !sameLayout) {
+    throw new Error(`v${version} predates structured records and was taken in the ${entry.layout || 'file'} layout. Switch back with: claude-memory config set memory-layout ${entry.layout || 'file'}`);
+  }
+
+  snapshot(projectPath, `restore to v${version}`);
+  // Hand edits made since the last render are recorded before they're undone
+  syncRecords(projectPath);
+
+  // Pre-records snapshots are in the file layout; their bullets are imported
+  const records = entry.records || importMarkdown(entry.markdown);
+  saveRecords(projectPath, records, { kind: 'restore', note: `restore to v${version}` });
+
+  // Keep the files exactly as they were, including hand edits
+  if (sameLayout) {
+    writeMemoryFiles(projectPath, new Map(Object.entries(entry.files || { [config.OBSERVATIONS_FILE]: entry.markdown })), layout);
+  }
+  return entry;
+}
@@ -5,8 +5,23 @@ import path from 'path';
 import { execSync, spawn } from 'child_process';
 import config from './config.js';
 import { startWatching } from './watcher.js';
-import { initProject } from './init.js';
-import { loadState, saveState, updateFileOffset } from './state.js';
+import { cancelJobs } from './scheduler.js';
+import { initProject, installHook } from './init.js';
+import { loadState, updateState, updateFileOffset, completeLinesEnd, fileFingerprint, migrateStateFile, STATE_SCHEMA_VERSION } from './state.js';
+import { readProjects, updateProjects, migrateProjectsFile, PROJECTS_SCHEMA_VERSION } from './projects.js';
+import { acquireObservationsLock, releaseLock, readLock, describeLock } from './lock.js';
+import { backendFor, parseBackendSpec, describeBackend } from './backends.js';
+import { loadRetryQueue } from './retry.js';
+import { countQueuedAppends } from './observer.js';
+import { loadRecords, CATEGORIES, memoryLayout, setMemoryLayout, readMemoryFiles, memoryText, listTopics, rebuildMemoryFiles } from './records.js';
+import { hasLedger, readLedger, recordHistory } from './ledger.js';
+import { parseRedactRules } from './redact.js';
+import { estimateTokens } from './tokens.js';
+import { buildInjection, injectionBudget } from './inject.js';
+import { snapshot, listVersions, loadSnapshot, restoreSnapshot } from './history.js';
+import { parseConversationDelta, isSessionTranscript } from './parser.js';
+import { sessionIndex } from './sessions.js';
+import { loadFormatters } from './formatters.js';
 
 const args = process.argv.slice(2);
 const command = args[0];
@@ -25,15 +40,94 @@ function checkClaude() {
   }
 }
 
+/**
+ * True if any registered project (or a future one, using the default backend)
+ * runs its passes through the claude CLI.
+ */
+function needsClaudeCli(projects) {
+  if (projects.length === 0) return config.DEFAULT_BACKEND.type === 'claude-cli';
+  return projects.some(p =>
+    backendFor(p, 'observer').type === 'claude-cli' || backendFor(p, 'reflector').type === 'claude-cli'
+  );
+}
+
+/**
+ * The registered projects, exiting with an error if projects.json is
+ * corrupted beyond recovery or invalid (see projects.js).
+ */
 function loadProjects() {
   try {
-    const data = JSON.parse(fs.readFileSync(config.PROJECTS_FILE, 'utf-8'));
-    return data.projects || [];
-  } catch {
-    return [];
+    return readProjects().projects;
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
   }
 }
 
+/**
+ * Change a registered project's settings in projects.json under its lock,
+ * re-reading the file so concurrent changes aren't lost.
+ */
+function updateProject(projectPath, mutate) {
+  updateProjects(data => {
+    const project = data.projects.find(p => p.path === projectPath);
+    if (!project) return false;
+    mutate(project);
+  });
+}
+
+/**
+ * Bring projects.json and the state files of `projectPaths` (default: every
+ * registered project) up to the current schema (see schema.js), writing back
+ * the ones that were older. A file that can't be migrated is reported and
+ * left as it is, without stopping the others. Returns { migrated, problems }:
+ * the files migrated, as { file, from, to }, and the ones that failed, as
+ * { file, projectPath, message }.
+ */
+function migrateStoredFiles(projectPaths = null) {
+  const migrated = [];
+  const problems = [];
+  try {
+    const from = migrateProjectsFile();
+    if (from !== null) migrated.push({ file: config.PROJECTS_FILE, from, to: PROJECTS_SCHEMA_VERSION });
+    projectPaths ??= readProjects().projects.map(p => p.path);
+  } catch (err) {
+    problems.push({ file: config.PROJECTS_FILE, projectPath: null, message: err.message });
+    projectPaths = [];
+  }
+  for (const projectPath of projectPaths) {
+    try {
+      const from = migrateStateFile(projectPath);
+      if (from !== null) migrated.push({ file: `state of ${projectPath}`, from, to: STATE_SCHEMA_VERSION });
+    } catch (err) {
+      problems.push({ file: `state of ${projectPath}`, projectPath, message: err.message });
+    }
+  }
+  for (const { file, from, to } of migrated) {
+    console.log(`[Migrate] Upgraded ${file} from schema version ${from} to ${to}`);
+  }
+  for (const { message } of problems) {
+    console.error(`[Migrate] ${message}`);
+  }
+  return { migrated, problems };
+}
+
+/**
+ * Migrate projects.json and one project's state file before a command
+ * writes them, exiting if either can't be migrated.
+ */
+function migrateForCommand(projectPath = null) {
+  if (migrateStoredFiles(projectPath ? [projectPath] : []).problems.length > 0) process.exit(1);
+}
+
+/**
+ * What a project's memory is called in messages: OBSERVATIONS.md, or the
+ * memory directory in the topic layout.
+ */
+function memoryName(projectPath) {
+  return memoryLayout(projectPath) === 'topics' ? `${config.MEMORY_DIR}/` : config.OBSERVATIONS_FILE;
+}
+
 function isRunning() {
   try {
     const pid = parseInt(fs.readFileSync(config.PID_FILE, 'utf-8').trim());
@@ -139,8 +233,19 @@ function checkForUpdates() {
 }
 
 function daemonMain() {
-  // Verify claude CLI is available (needed for Observer/Reflector passes)
-  checkClaude();
+  // Waiting on a file lock freezes the watcher and scheduler (see storage.js)
+  config.FILE_LOCK_TIMEOUT_MS = config.DAEMON_FILE_LOCK_TIMEOUT_MS;
+
+  const { problems } = migrateStoredFiles();
+  const broken = new Set(problems.map(p => p.projectPath));
+  const projects = loadProjects().filter(p => {
+    if (!broken.has(p.path)) return true;
+    console.warn(`[Daemon] State of ${p.path} can't be read — skipping (see above)`);
+    return false;
+  });
+
+  // Verify claude CLI is available (needed for Observer/Reflector passes using claude-cli)
+  if (needsClaudeCli(projects)) checkClaude();
 
   // Write PID
   fs.mkdirSync(config.DAEMON_DIR, { recursive: true });
@@ -148,7 +253,6 @@ function daemonMain() {
 
   console.log(`[Daemon] Started (PID: ${process.pid})`);
 
-  const projects = loadProjects();
   if (projects.length === 0) {
     console.log('[Daemon] No projects registered. Use "claude-memory init" in a project directory.');
     console.log('[Daemon] Waiting for projects...');
@@ -171,6 +275,9 @@ function daemonMain() {
   // Handle shutdown
   const cleanup = () => {
     console.log('[Daemon] Shutting down...');
+    // Abort in-flight LLM calls so no child processes outlive the daemon
+    const cancelled = cancelJobs();
+    if (cancelled > 0) console.log(`[Daemon] Cancelled ${cancelled} job(s)`);
     try { fs.unlinkSync(config.PID_FILE); } catch {}
     process.exit(0);
   };
@@ -188,7 +295,9 @@ function daemonMain() {
 // CLI commands
 switch (command) {
   case 'start': {
-    checkClaude();
+    // The daemon migrates again on its own; this shows the problems here too
+    migrateStoredFiles();
+    if (needsClaudeCli(loadProjects())) checkClaude();
 
     // If systemd service is installed, always use that (avoids fighting with systemd)
     const svcStatus = serviceStatus();
@@ -277,14 +386,36 @@ switch (command) {
     } else {
       console.log(`\nProjects (${projects.length}):`);
       for (const p of projects) {
-        const state = loadState(p.path);
-        const fileCount = Object.keys(state.files).length;
-        const obsPath = path.join(p.path, config.OBSERVATIONS_FILE);
-        let obsSize = 0;
-        try { obsSize = fs.statSync(obsPath).size; } catch {}
         console.log(`  ${p.path}`);
-        console.log(`    Files processed: ${fileCount} | Observer passes: ${state.totalObserverPasses} | Reflector passes: ${state.totalReflectorPasses}`);
-        console.log(`    Observations: ${(obsSize / 1024).toFixed(1)}KB (~${Math.round(obsSize / 4)} tokens)`);
+        // A broken state file is reported for its project; the others still show
+        try {
+          const state = loadState(p.path);
+          const fileCount = Object.keys(state.files).length;
+          const { layout, files } = readMemoryFiles(p.path);
+          const memory = memoryText(files);
+          const obsSize = Buffer.byteLength(memory);
+          const obsTokens = estimateTokens(memory);
+          const threshold = p.reflectorThreshold;
+          const budget = injectionBudget(p);
+          const percent = limit => `${Math.round(obsTokens / limit * 100)}%`;
+          console.log(`    Files processed: ${fileCount} | Observer passes: ${state.totalObserverPasses} | Reflector passes: ${state.totalReflectorPasses}`);
+          console.log(`    Observations: ${(obsSize / 1024).toFixed(1)}KB (~${obsTokens} tokens)${layout === 'topics' ? ` in ${files.size - 1} topic file(s) under ${config.MEMORY_DIR}/` : ''}`);
+          console.log(`    Reflector threshold: ${obsTokens}/${threshold} tokens (${percent(threshold)}) | Injection budget: ${obsTokens}/${budget} tokens (${percent(budget)})`);
+          if (obsTokens > budget) {
+            const injection = buildInjection(p.path, budget);
+            console.log(`    Over injection budget: sessions start with ${injection.included} of ${injection.total} observations`);
+          }
+          const queue = loadRetryQueue(p.path);
+          if (queue.pending.length > 0 || queue.deadLetters.length > 0) {
+            console.log(`    Failed deltas: ${queue.pending.length} awaiting retry | ${queue.deadLetters.length} dead letter(s) (run: claude-memory retry)`);
+          }
+          const queuedAppends = countQueuedAppends(p.path);
+          if (queuedAppends > 0) {
+            console.log(`    Queued appends: ${queuedAppends} waiting for the ${config.OBSERVATIONS_FILE} lock`);
+          }
+        } catch (err) {
+          console.log(`    Can't read its state: ${err.message.replace(/\n/g, '\n    ')}`);
+        }
       }
     }
 
@@ -313,16 +444,16 @@ switch (command) {
     const target = args[1] || process.cwd();
     const resolved = path.resolve(target);
 
-    let data = { projects: [] };
-    try { data = JSON.parse(fs.readFileSync(config.PROJECTS_FILE, 'utf-8')); } catch {}
-
-    const before = data.projects.length;
-    data.projects = data.projects.filter(p => p.path !== resolved);
+    migrateForCommand();
+    const removed = updateProjects(data => {
+      const before = data.projects.length;
+      data.projects = data.projects.filter(p => p.path !== resolved);
+      return data.projects.length !== before;
+    });
 
-    if (data.projects.length === before) {
+    if (!removed) {
       console.log(`Project not found: ${resolved}`);
     } else {
-      fs.writeFileSync(config.PROJECTS_FILE, JSON.stringify(data, null, 2));
       console.log(`Removed: ${resolved}`);
       console.log('Note: OBSERVATIONS.md was not deleted. Restart daemon to apply.');
     }
@@ -345,6 +476,7 @@ switch (command) {
       console.log('Note: --no-catchup set. Existing conversations will NOT be processed.');
       console.log('Only new conversations after this point will generate observations.\n');
     }
+    migrateForCommand(projectPath);
     initProject(projectPath, { noCatchup });
     break;
   }
@@ -357,15 +489,13 @@ switch (command) {
       ? path.resolve(args[args.indexOf('--project') + 1])
       : path.resolve(process.cwd());
 
-    let data = { projects: [] };
-    try { data = JSON.parse(fs.readFileSync(config.PROJECTS_FILE, 'utf-8')); } catch {}
-
-    const project = data.projects.find(p => p.path === target);
+    const project = loadProjects().find(p => p.path === target);
     if (!project) {
       console.error(`Project not registered: ${target}`);
       console.error('Run "claude-memory init" first, or use --project <path>.');
       process.exit(1);
     }
+    if (subCmd === 'set') migrateForCommand(project.path);
 
     if (subCmd === 'set') {
       const key = configArgs[1];
@@ -377,16 +507,101 @@ switch (command) {
           console.error('Threshold must be a number >= 1000');
           process.exit(1);
         }
-        project.reflectorThreshold = num;
-        fs.writeFileSync(config.PROJECTS_FILE, JSON.stringify(data, null, 2));
+        updateProject(target, p => { p.reflectorThreshold = num; });
         console.log(`Set reflector threshold to ${num} tokens for ${target}`);
+      } else if (key === 'observer-backend' || key === 'reflector-backend') {
+        let spec;
+        try {
+          spec = parseBackendSpec(value);
+        } catch (err) {
+          console.error(err.message);
+          process.exit(1);
+        }
+        const field = key === 'observer-backend' ? 'observerBackend' : 'reflectorBackend';
+        updateProject(target, p => { p[field] = spec; });
+        console.log(`Set ${key} to ${describeBackend(spec)} for ${target}`);
+        console.log('Restart daemon to apply.');
+      } else if (key === 'max-injected-tokens') {
+        const num = parseInt(value);
+        if (isNaN(num) || num < 500) {
+          console.error('Budget must be a number >= 500');
+          process.exit(1);
+        }
+        updateProject(target, p => { p.maxInjectedTokens = num; });
+        console.log(`Set max injected tokens to ${num} for ${target}`);
+      } else if (key === 'redact-rules') {
+        let rules = null;
+        if (value !== 'none') {
+          try {
+            rules = parseRedactRules(value);
+          } catch (err) {
+            console.error(err.message);
+            process.exit(1);
+          }
+        }
+        updateProject(target, p => {
+          if (rules) p.redactRules = rules;
+          else delete p.redactRules;
+        });
+        console.log(`Set ${rules?.length || 0} custom redaction rule(s) for ${target}`);
+        console.log('Restart daemon to apply.');
+      } else if (key === 'project-formatters') {
+        if (value !== 'on' && value !== 'off') {
+          console.error('Value must be "on" or "off"');
+          process.exit(1);
+        }
+        updateProject(target, p => {
+          if (value === 'on') p.projectFormatters = true;
+          else delete p.projectFormatters;
+        });
+        console.log(value === 'on'
+          ? `Loading formatter plugins from ${path.join(target, config.PROJECT_FORMATTERS_DIR)} (they run with your permissions)`
+          : `Not loading formatter plugins from ${path.join(target, config.PROJECT_FORMATTERS_DIR)}`);
+        console.log('Restart daemon to apply.');
+      } else if (key === 'memory-layout') {
+        if (value !== 'topics' && value !== 'file') {
+          console.error('Layout must be "topics" or "file"');
+          process.exit(1);
+        }
+        if (memoryLayout(target) === value) {
+          console.log(`Memory already uses the ${value} layout.`);
+          break;
+        }
+
+        const lock = await acquireObservationsLock(target, 'layout', { wait: false });
+        if (!lock) {
+          const held = readLock(path.join(target, config.LOCK_FILE));
+          console.error(`Observations are being updated${held ? ` (${describeLock(held)})` : ''}. Try again in a minute.`);
+          process.exit(1);
+        }
+        let count;
+        try {
+          snapshot(target, `switch to ${value} layout`);
+          count = setMemoryLayout(target, value);
+        } finally {
+          releaseLock(lock);
+        }
+
+        // Projects initialized before topics have a hook that only reads OBSERVATIONS.md
+        installHook(target);
+        const { autoCommitObservations } = await import('./git.js');
+        autoCommitObservations(target);
+        console.log(value === 'topics'
+          ? `Moved ${count} observations to ${config.MEMORY_DIR}/ (${listTopics(loadRecords(target)).length} topics, see ${config.MEMORY_DIR}/${config.MEMORY_INDEX_FILE})`
+          : `Moved ${count} observations back to ${config.OBSERVATIONS_FILE}`);
       } else {
         console.error(`Unknown config key: ${key}`);
-        console.log('Available keys: reflector-threshold');
+        console.log('Available keys: reflector-threshold, max-injected-tokens, observer-backend, reflector-backend, redact-rules, project-formatters, memory-layout');
       }
     } else if (subCmd === 'get' || !subCmd) {
       console.log(`Config for: ${target}`);
-      console.log(`  reflector-threshold: ${project.reflectorThreshold || config.DEFAULT_REFLECTOR_THRESHOLD}`);
+      console.log(`  reflector-threshold: ${project.reflectorThreshold}`);
+      console.log(`  max-injected-tokens: ${injectionBudget(project)}`);
+      console.log(`  observer-backend: ${describeBackend(backendFor(project, 'observer'))}`);
+      console.log(`  reflector-backend: ${describeBackend(backendFor(project, 'reflector'))}`);
+      console.log(`  redact-rules: ${project.redactRules?.length ? project.redactRules.map(r => r.name).join(', ') : '(built-in only)'}`);
+      console.log(`  project-formatters: ${project.projectFormatters ? 'on' : 'off'}`);
+      console.log(`  memory-layout: ${memoryLayout(target)}`);
       console.log(`  claude-project-dir: ${project.claudeProjectDir}`);
       console.log(`  registered: ${project.registeredAt}`);
     } else {
@@ -425,6 +640,14 @@ switch (command) {
       }
     } catch {}
 
+    // Upgrade stored files with the new code before the daemon reads them
+    try {
+      execSync(`"${process.execPath}" "${path.join(PACKAGE_DIR, 'src', 'index.js')}" migrate`, { stdio: 'inherit' });
+    } catch {
+      console.error('Migrating stored state failed (see above). The daemon was not restarted.');
+      process.exit(1);
+    }
+
     // Restart daemon if running
     const svcStatus = serviceStatus();
     if (svcStatus === 'active') {
@@ -455,21 +678,32 @@ switch (command) {
     break;
   }
 
+  case 'migrate': {
+    // Upgrade projects.json and every project's state file to the current schema
+    const { migrated, problems } = migrateStoredFiles();
+    if (problems.length > 0) {
+      console.error(`${problems.length} file(s) could not be migrated (see above).`);
+      process.exit(1);
+    }
+    if (migrated.length === 0) {
+      console.log(`All state files are up to date (projects.json: version ${PROJECTS_SCHEMA_VERSION}, state: version ${STATE_SCHEMA_VERSION}).`);
+    }
+    break;
+  }
+
   case 'seal': {
     // Mark all untracked conversation files as "already read" for a project.
     // Use this when a project has already been initialized but you don't want
     // the daemon catching up on remaining historical conversations.
     const target = args[1] ? path.resolve(args[1]) : path.resolve(process.cwd());
 
-    let data = { projects: [] };
-    try { data = JSON.parse(fs.readFileSync(config.PROJECTS_FILE, 'utf-8')); } catch {}
-
-    const project = data.projects.find(p => p.path === target);
+    const project = loadProjects().find(p => p.path === target);
     if (!project) {
       console.error(`Project not registered: ${target}`);
       console.error('Run "claude-memory init" first.');
       process.exit(1);
     }
+    migrateForCommand(project.path);
 
     const claudeDir = path.join(config.CLAUDE_PROJECTS_DIR, project.claudeProjectDir);
     if (!fs.existsSync(claudeDir)) {
@@ -477,22 +711,23 @@ switch (command) {
       process.exit(1);
     }
 
-    const state = loadState(project.path);
-    let sealed = 0;
-
-    const files = fs.readdirSync(claudeDir).filter(f => f.endsWith('.jsonl'));
-    for (const file of files) {
-      const filePath = path.join(claudeDir, file);
-      const stat = fs.statSync(filePath);
-      const currentOffset = state.files[file]?.offset || 0;
-      if (stat.size > currentOffset) {
-        updateFileOffset(state, file, stat.size, 0);
-        sealed++;
+    const files = fs.readdirSync(claudeDir).filter(isSessionTranscript);
+    const sealed = updateState(project.path, state => {
+      let count = 0;
+      for (const file of files) {
+        const filePath = path.join(claudeDir, file);
+        const stat = fs.statSync(filePath);
+        const currentOffset = state.files[file]?.offset || 0;
+        const end = completeLinesEnd(filePath, 0, stat.size);
+        if (end > currentOffset) {
+          updateFileOffset(state, file, end, 0, fileFingerprint(filePath, end));
+          count++;
+        }
       }
-    }
+      return count > 0 ? count : false;
+    });
 
-    if (sealed > 0) {
-      saveState(project.path, state);
+    if (sealed) {
       console.log(`Sealed ${sealed} unprocessed conversation(s) for: ${target}`);
       console.log('Daemon will now only process new content written after this point.');
     } else {
@@ -502,35 +737,437 @@ switch (command) {
   }
 
   case 'reflect': {
-    const target = args[1] ? path.resolve(args[1]) : path.resolve(process.cwd());
-
-    let data = { projects: [] };
-    try { data = JSON.parse(fs.readFileSync(config.PROJECTS_FILE, 'utf-8')); } catch {}
+    const dryRun = args.includes('--dry-run');
+    const targetArg = args.slice(1).find(a => !a.startsWith('-'));
+    const target = path.resolve(targetArg || process.cwd());
 
-    const project = data.projects.find(p => p.path === target);
+    const project = loadProjects().find(p => p.path === target);
     if (!project) {
       console.error(`Project not registered: ${target}`);
       process.exit(1);
     }
+    if (!dryRun) migrateForCommand(project.path);
 
-    const obsPath = path.join(target, config.OBSERVATIONS_FILE);
-    if (!fs.existsSync(obsPath)) {
-      console.error('No OBSERVATIONS.md found.');
+    if (readMemoryFiles(target).files.size === 0) {
+      console.error(`No ${memoryName(target)} found.`);
       process.exit(1);
     }
 
     const { runReflector } = await import('./reflector.js');
-    console.log('Running reflector...');
-    const result = await runReflector(target);
+    console.log(dryRun ? 'Running reflector (dry run)...' : 'Running reflector...');
+    const result = await runReflector(target, backendFor(project, 'reflector'), { redactRules: project.redactRules, dryRun });
+
+    if (dryRun) {
+      if (!result) break;
+      const { renderMarkdown } = await import('./records.js');
+      const { formatDiff } = await import('./diff.js');
+      const { records, consolidated, validation } = result;
+      const diff = formatDiff(renderMarkdown(records), renderMarkdown(consolidated), {
+        fromLabel: `${memoryName(target)} (current, ${records.length} records)`,
+        toLabel: `${memoryName(target)} (proposed, ${consolidated.length} records)`,
+      });
+      console.log(diff || 'No changes proposed.');
+      console.log('');
+      console.log(`Size: ${Math.round(validation.sizeRatio * 100)}% of current`);
+      for (const [kind, values] of Object.entries(validation.lost)) {
+        if (values.length > 0) console.log(`Dropped ${kind}: ${values.join(', ')}`);
+      }
+      console.log(validation.ok
+        ? 'Validation: passed. Run without --dry-run to apply.'
+        : `Validation: would be rejected (${validation.problems.join('; ')})`);
+      console.log('Nothing was written.');
+      break;
+    }
+
     if (result) {
-      const { loadState: ls, saveState: ss } = await import('./state.js');
-      const state = ls(target);
-      state.totalReflectorPasses++;
-      state.lastReflection = new Date().toISOString();
-      ss(target, state);
+      updateState(target, state => {
+        state.totalReflectorPasses++;
+        state.lastReflection = new Date().toISOString();
+      });
       console.log('Reflector pass complete.');
     } else {
-      console.log('Reflector returned no result (output too short or empty).');
+      console.log('Reflector made no changes (no observations, or no rewrite passed validation).');
+    }
+    break;
+  }
+
+  case 'retry': {
+    // Re-run Observer passes that failed permanently (dead letters).
+    // --all also runs ranges still waiting on their backoff; --list only shows the queue.
+    const listOnly = args.includes('--list');
+    const includePending = args.includes('--all');
+    const targetArg = args.slice(1).find(a => !a.startsWith('-'));
+    const target = path.resolve(targetArg || process.cwd());
+
+    const project = loadProjects().find(p => p.path === target);
+    if (!project) {
+      console.error(`Project not registered: ${target}`);
+      process.exit(1);
+    }
+
+    const queue = loadRetryQueue(target);
+
+    if (listOnly) {
+      const show = (label, entries) => {
+        console.log(`${label} (${entries.length}):`);
+        for (const e of entries) {
+          const next = e.nextAttemptAt ? ` | next: ${e.nextAttemptAt}` : '';
+          console.log(`  ${e.file} bytes ${e.fromOffset}–${e.toOffset} | attempts: ${e.attempts}${next}`);
+          console.log(`    ${e.lastError}`);
+        }
+      };
+      show('Awaiting retry', queue.pending);
+      show('Dead letters', queue.deadLetters);
+      break;
+    }
+
+    const entries = includePending ? [...queue.deadLetters, ...queue.pending] : queue.deadLetters;
+    if (entries.length === 0) {
+      console.log(includePending ? 'Retry queue is empty.' : 'No dead letters. Use --all to also retry ranges awaiting backoff.');
+      break;
+    }
+
+    migrateForCommand(project.path);
+    if (backendFor(project, 'observer').type === 'claude-cli') checkClaude();
+
+    const { runRetry } = await import('./pipeline.js');
+    let recovered = 0;
+    for (const entry of entries) {
+      if (await runRetry(project, entry)) recovered++;
+    }
+    console.log(`Recovered ${recovered} of ${entries.length} failed range(s).`);
+    break;
+  }
+
+  case 'observations': {
+    // List structured observation records, optionally filtered by category
+    const asJson = args.includes('--json');
+    const catIdx = args.indexOf('--category');
+    const category = catIdx !== -1 ? args[catIdx + 1] : null;
+    const targetArg = args.slice(1).find((a, i, arr) => !a.startsWith('-') && arr[i - 1] !== '--category');
+    const target = path.resolve(targetArg || process.cwd());
+
+    if (category && !Object.hasOwn(CATEGORIES, category)) {
+      console.error(`Unknown category: ${category}`);
+      console.log(`Categories: ${Object.keys(CATEGORIES).join(', ')}`);
+      process.exit(1);
+    }
+
+    const records = loadRecords(target).filter(r => !category || r.category === category);
+
+    if (asJson) {
+      console.log(JSON.stringify(records, null, 2));
+      break;
+    }
+
+    if (records.length === 0) {
+      console.log('No observations.');
+      break;
+    }
+
+    const counts = Object.keys(CATEGORIES)
+      .map(c => [c, records.filter(r => r.category === c).length])
+      .filter(([, n]) => n > 0)
+      .map(([c, n]) => `${c}: ${n}`);
+    console.log(`${records.length} observation(s) — ${counts.join(', ')}\n`);
+
+    for (const r of records) {
+      console.log(`[${r.id}] ${r.category} (${r.confidence}) — session ${r.sessionId}, ${r.createdAt.slice(0, 10)}`);
+      console.log(`  ${r.statement}`);
+      if (r.files.length > 0) console.log(`  files: ${r.files.join(', ')}`);
+    }
+    break;
+  }
+
+  case 'history': {
+    // List OBSERVATIONS.md snapshots, or print one with --show
+    const showIdx = args.indexOf('--show');
+    const showVersion = showIdx !== -1 ? parseInt(args[showIdx + 1]) : null;
+    const targetArg = args.slice(1).find((a, i, arr) => !a.startsWith('-') && arr[i - 1] !== '--show');
+    const target = path.resolve(targetArg || process.cwd());
+
+    if (showIdx !== -1) {
+      const entry = loadSnapshot(target, showVersion);
+      if (!entry) {
+        console.error(`No snapshot version ${args[showIdx + 1]} for ${target}`);
+        process.exit(1);
+      }
+      process.stdout.write(entry.markdown);
+      break;
+    }
+
+    const versions = listVersions(target);
+    if (versions.length === 0) {
+      console.log('No snapshots yet. One is taken before each change to OBSERVATIONS.md.');
+      break;
+    }
+
+    console.log(`Snapshots for ${target} (newest first):\n`);
+    for (const version of [...versions].reverse()) {
+      const entry = loadSnapshot(target, version);
+      const count = entry.records ? `${entry.records.length} record(s)` : 'no records';
+      console.log(`  v${version}  ${entry.createdAt.replace('T', ' ').slice(0, 19)}  before ${entry.reason} — ${count}, ${(Buffer.byteLength(entry.markdown) / 1024).toFixed(1)}KB`);
+    }
+    console.log(`\nShow one with: claude-memory history --show <version>`);
+    console.log('Roll back with: claude-memory restore <version>');
+    break;
+  }
+
+  case 'restore': {
+    // Roll OBSERVATIONS.md back to a snapshot
+    const version = parseInt(String(args[1] || '').replace(/^v/, ''));
+    const target = path.resolve(args[2] || process.cwd());
+    if (isNaN(version)) {
+      console.error('Usage: claude-memory restore <version> [path]');
+      process.exit(1);
+    }
+
+    const lock = await acquireObservationsLock(target, 'restore', { wait: false });
+    if (!lock) {
+      const held = readLock(path.join(target, config.LOCK_FILE));
+      console.error(`Observations are being updated${held ? ` (${describeLock(held)})` : ''}. Try again in a minute.`);
+      process.exit(1);
+    }
+
+    let entry;
+    try {
+      entry = restoreSnapshot(target, version);
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    } finally {
+      releaseLock(lock);
+    }
+    if (!entry) break;
+
+    const { autoCommitObservations } = await import('./git.js');
+    autoCommitObservations(target);
+    console.log(`Restored ${memoryName(target)} to v${version} (${entry.createdAt}). The previous state was saved as a new snapshot.`);
+    break;
+  }
+
+  case 'ledger': {
+    // Audit the observation ledger: every change, or one observation's history
+    const recIdx = args.indexOf('--record');
+    const query = recIdx !== -1 ? args[recIdx + 1] : null;
+    const asJson = args.includes('--json');
+    const targetArg = args.slice(1).find((a, i, arr) => !a.startsWith('-') && arr[i - 1] !== '--record');
+    const target = path.resolve(targetArg || process.cwd());
+
+    let events = readLedger(target);
+    if (events.length === 0) {
+      console.log('No ledger yet. It is started by the next change to the observations.');
+      break;
+    }
+
+    // Deletes only carry an id; name them by the record's last statement
+    const statements = new Map(events.filter(e => e.record).map(e => [e.record.id, e.record.statement]));
+    if (query) {
+      const needle = query.toLowerCase();
+      const match = events.findLast(e => e.record && (e.record.id === query || e.record.statement.toLowerCase().includes(needle)));
+      if (!match) {
+        console.log(`No observation in the ledger matches "${query}".`);
+        break;
+      }
+      events = recordHistory(events, match.record.id);
+    }
+
+    if (asJson) {
+      for (const event of events) console.log(JSON.stringify(event));
+      break;
+    }
+
+    for (const event of events) {
+      const pass = `${event.pass.kind}${event.pass.note ? ` (${event.pass.note})` : ''}`;
+      const id = event.record?.id || event.id;
+      const from = event.from && !(event.from.length === 1 && event.from[0] === id) ? ` ← ${event.from.join(', ')}` : '';
+      console.log(`${event.at.slice(0, 16).replace('T', ' ')}  ${event.op.padEnd(9)} [${id}]${from}  by ${pass}`);
+      console.log(`  ${event.record?.statement || statements.get(id) || '(unknown statement)'}`);
+    }
+    break;
+  }
+
+  case 'rebuild': {
+    // Re-render the memory files from the ledger
+    const target = path.resolve(args[1] || process.cwd());
+    if (!hasLedger(target)) {
+      console.error('No ledger yet. It is started by the next change to the observations.');
+      process.exit(1);
+    }
+
+    const lock = await acquireObservationsLock(target, 'rebuild', { wait: false });
+    if (!lock) {
+      const held = readLock(path.join(target, config.LOCK_FILE));
+      console.error(`Observations are being updated${held ? ` (${describeLock(held)})` : ''}. Try again in a minute.`);
+      process.exit(1);
+    }
+
+    let count;
+    let version;
+    try {
+      version = snapshot(target, 'rebuild from ledger');
+      count = rebuildMemoryFiles(target);
+    } finally {
+      releaseLock(lock);
+    }
+
+    const { autoCommitObservations } = await import('./git.js');
+    autoCommitObservations(target);
+    console.log(`Rebuilt ${memoryName(target)} from the ledger (${count} observations).`);
+    if (version) console.log(`The previous files, including hand edits not in the ledger, were saved as v${version}.`);
+    break;
+  }
+
+  case 'sessions': {
+    // List conversation files, or with --thread group resumed sessions into chains
+    const thread = args.includes('--thread');
+    const targetArg = args.slice(1).find(a => !a.startsWith('-'));
+    const target = path.resolve(targetArg || process.cwd());
+    const project = loadProjects().find(p => p.path === target);
+    if (!project) {
+      console.error(`Project not registered: ${target}`);
+      process.exit(1);
+    }
+
+    const sessions = sessionIndex(path.join(config.CLAUDE_PROJECTS_DIR, project.claudeProjectDir));
+    if (sessions.length === 0) {
+      console.log('No conversations found.');
+      break;
+    }
+
+    const state = loadState(target);
+    const describe = (s) => {
+      const observed = Math.min(100, Math.round((state.files[s.file]?.offset || 0) / Math.max(1, s.size) * 100));
+      const when = (s.lastTimestamp || '').slice(0, 16).replace('T', ' ') || 'unknown';
+      const compactions = s.compactions.length > 0 ? `, ${s.compactions.length} compaction(s)` : '';
+      return `${s.sessionId.slice(0, 8)}  ${when}  ${(s.size / 1024).toFixed(0)}KB, ${observed}% observed${compactions}${s.title ? `  "${s.title}"` : ''}`;
+    };
+
+    if (!thread) {
+      for (const s of [...sessions].reverse()) {
+        console.log(`${describe(s)}${s.continues ? `  (continues ${s.continues.sessionId.slice(0, 8)})` : ''}`);
+      }
+      break;
+    }
+
+    // Threads newest first, each printed from its first session down
+    const printed = new Set();
+    const printTree = (s, depth) => {
+      if (printed.has(s)) return;
+      printed.add(s);
+      console.log(`${depth === 0 ? '' : `${'   '.repeat(depth - 1)}└─ `}${describe(s)}`);
+      for (const next of s.continuedBy) printTree(next, depth + 1);
+    };
+    const roots = sessions.filter(s => !s.continues);
+    const lastActive = (s) => s.continuedBy.reduce((max, c) => {
+      const t = lastActive(c);
+      return t > max ? t : max;
+    }, s.lastTimestamp || '');
+    roots.sort((a, b) => lastActive(b).localeCompare(lastActive(a)));
+
+    const chains = roots.filter(r => r.continuedBy.length > 0).length;
+    console.log(`${sessions.length} session(s), ${chains} resumed thread(s)\n`);
+    for (const root of roots) {
+      printTree(root, 0);
+    }
+    // Anything left is part of a cycle; print it flat rather than hide it
+    for (const s of sessions) printTree(s, 0);
+    break;
+  }
+
+  case 'inject': {
+    // Print the observations for the SessionStart hook, within the project's budget
+    const target = path.resolve(args[1] || process.cwd());
+    const project = loadProjects().find(p => p.path === target);
+    const injection = buildInjection(target, injectionBudget(project));
+    if (!injection) {
+      process.exit(1);
+    }
+    process.stdout.write(injection.text);
+    break;
+  }
+
+  case 'formatters': {
+    // List the tool formatter plugins that apply to a project
+    const target = path.resolve(args[1] || process.cwd());
+    const project = loadProjects().find(p => p.path === target) ?? { path: target };
+    const formatters = await loadFormatters(project);
+    const projectDir = path.join(target, config.PROJECT_FORMATTERS_DIR);
+    if (!project.projectFormatters && fs.existsSync(projectDir)) {
+      console.log(`Not loading ${projectDir}: the project hasn't opted in (claude-memory config set project-formatters on).`);
+    }
+    if (formatters.length === 0) {
+      console.log('No formatter plugins loaded.');
+      console.log(`Add modules to ${config.FORMATTERS_DIR}, or to ${projectDir} and run "claude-memory config set project-formatters on"`);
+      break;
+    }
+
+    for (const f of formatters) {
+      const hooks = [f.summarize && 'summary', f.result && 'result'].filter(Boolean).join(', ') || 'truncation only';
+      const limits = [
+        f.maxSummaryChars !== undefined && `summary ${f.maxSummaryChars} chars`,
+        f.maxResultChars !== undefined && `result ${f.maxResultChars} chars`,
+      ].filter(Boolean).join(', ');
+      console.log(`${f.pattern}  ${hooks}${limits ? ` (${limits})` : ''}`);
+      console.log(`  from ${f.source}`);
+    }
+    break;
+  }
+
+  case 'trace': {
+    // Show the conversation excerpts an observation was derived from
+    const full = args.includes('--full');
+    const projIdx = args.indexOf('--project');
+    const target = path.resolve(projIdx !== -1 ? args[projIdx + 1] : process.cwd());
+    const query = args.slice(1).find((a, i, arr) => !a.startsWith('--') && arr[i - 1] !== '--project');
+
+    if (!query) {
+      console.error('Usage: claude-memory trace "<text or id>" [--project path] [--full]');
+      process.exit(1);
+    }
+
+    const project = loadProjects().find(p => p.path === target);
+    if (!project) {
+      console.error(`Project not registered: ${target}`);
+      process.exit(1);
+    }
+
+    const needle = query.toLowerCase();
+    const matches = loadRecords(target).filter(r => r.id === query || r.statement.toLowerCase().includes(needle));
+    if (matches.length === 0) {
+      console.log(`No observation matches "${query}".`);
+      break;
+    }
+
+    const claudeDir = path.join(config.CLAUDE_PROJECTS_DIR, project.claudeProjectDir);
+    const formatters = await loadFormatters(project);
+
+    for (const record of matches) {
+      console.log(`[${record.id}] ${record.category} (${record.confidence})`);
+      console.log(`  ${record.statement}\n`);
+
+      if (record.provenance.length === 0) {
+        console.log('  No provenance recorded (imported, hand-written, or from before provenance tracking).\n');
+        continue;
+      }
+
+      for (const source of record.provenance) {
+        const filePath = path.join(claudeDir, source.file || '');
+        console.log(`  From ${source.file} bytes ${source.fromOffset}–${source.toOffset}${source.timestamp ? ` (${source.timestamp})` : ''}${source.branch ? ` on ${source.branch}` : ''}`);
+        console.log(`  Messages: ${source.uuids.length}${source.uuids.length > 0 ? ` (${source.uuids[0]} … ${source.uuids[source.uuids.length - 1]})` : ''}`);
+
+        if (!source.file || !fs.existsSync(filePath)) {
+          console.log('  (conversation file no longer exists)\n');
+          continue;
+        }
+
+        const { text } = parseConversationDelta(filePath, source.fromOffset, source.toOffset, { redactRules: project.redactRules, formatters });
+        const excerpt = full || text.length <= config.TRACE_EXCERPT_CHARS
+          ? text
+          : `${text.slice(0, config.TRACE_EXCERPT_CHARS)}\n... [${text.length - config.TRACE_EXCERPT_CHARS} more chars, use --full]`;
+        console.log(excerpt.split('\n').map(l => `    | ${l}`).join('\n'));
+        console.log('');
+      }
     }
     break;
   }
@@ -590,9 +1227,35 @@ Commands:
     config                   Show current project config
     config set <key> <val>   Change a setting
     --project <path>         Target a specific project (default: cwd)
-    Keys: reflector-threshold
+    Keys: reflector-threshold, max-injected-tokens, observer-backend,
+          reflector-backend, redact-rules, project-formatters,
+          memory-layout
   reflect [path]           Manually run reflector consolidation pass
+    --dry-run                Show a diff of the proposed rewrite without applying it
+  observations [path]      List observation records
+    --category <name>        Only show one category
+    --json                   Output raw JSON records
+  history [path]           List snapshots of OBSERVATIONS.md
+    --show <version>         Print a snapshot
+  restore <version> [path] Roll OBSERVATIONS.md back to a snapshot
+  ledger [path]            List every change recorded to the observations
+    --record <id or text>    Only the history of one observation
+    --json                   Output raw JSON events
+  rebuild [path]           Regenerate OBSERVATIONS.md from the ledger
+  sessions [path]          List conversations with their observed progress
+    --thread                 Group resumed and continued sessions into threads
+  inject [path]            Print observations within the injection budget
+                           (used by the SessionStart hook)
+  formatters [path]        List the tool formatter plugins that apply
+  trace "<text>"           Show the conversation an observation came from
+    --project <path>         Target a specific project (default: cwd)
+    --full                   Print the whole excerpt
+  retry [path]             Re-run failed Observer passes (dead letters)
+    --all                    Also retry ranges still waiting on backoff
+    --list                   Show the retry queue without running anything
   logs                     Tail daemon logs
+  migrate                  Upgrade stored state files to the current schema
+                           (runs automatically; shown for troubleshooting)
   update                   Pull latest code from git and restart daemon
   install-service          Set up systemd user service (auto-start)
 `);
@@ -2,7 +2,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from './config.js';
-import { loadState, saveState, updateFileOffset } from './state.js';
+import { loadState, updateState, updateFileOffset, completeLinesEnd, fileFingerprint } from './state.js';
+import { isSessionTranscript } from './parser.js';
+import { updateProjects, claudeProjectDirFor } from './projects.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -20,25 +22,20 @@ export function initProject(projectPath, opts = {}) {
   // 1. Register with daemon
   registerProject(projectPath, opts);
 
-  // 2. Create .claude directory structure
+  // 2-3. Create .claude directory structure and copy session-start hook
   const claudeDir = path.join(projectPath, '.claude');
-  const hooksDir = path.join(claudeDir, 'hooks');
-  fs.mkdirSync(hooksDir, { recursive: true });
-
-  // 3. Copy session-start hook
-  const hookSrc = path.join(__dirname, '..', 'hooks', 'session-start.sh');
-  const hookDst = path.join(hooksDir, 'session-start.sh');
-  fs.copyFileSync(hookSrc, hookDst);
-  fs.chmodSync(hookDst, 0o755);
+  installHook(projectPath);
   console.log('  ✓ Created .claude/hooks/session-start.sh');
 
   // 4. Merge hook config into settings.json
   mergeSettings(claudeDir);
   console.log('  ✓ Updated .claude/settings.json');
 
-  // 5. Create empty OBSERVATIONS.md in project root
+  // 5. Create empty OBSERVATIONS.md in project root (unless using topics)
   const obsPath = path.join(projectPath, config.OBSERVATIONS_FILE);
-  if (!fs.existsSync(obsPath)) {
+  if (fs.existsSync(path.join(projectPath, config.MEMORY_DIR, config.MEMORY_INDEX_FILE))) {
+    console.log(`  ✓ Using topic files in ${config.MEMORY_DIR}/`);
+  } else if (!fs.existsSync(obsPath)) {
     fs.writeFileSync(obsPath, '# Observations\n');
     console.log('  ✓ Created OBSERVATIONS.md');
   } else {
@@ -49,39 +46,42 @@ export function initProject(projectPath, opts = {}) {
   addClaudeMdSection(projectPath);
 
   // 7. Seed state with existing conversations so daemon only watches for NEW content
-  const claudeProjectDir = projectPath.replace(/\//g, '-').replace(/^-/, '-');
-  seedExistingState(projectPath, claudeProjectDir, opts.noCatchup);
+  seedExistingState(projectPath, claudeProjectDirFor(projectPath), opts.noCatchup);
 
   console.log('\nDone! Start the daemon with: claude-memory start');
 }
 
+/**
+ * Copy (or refresh) the session-start hook into the project's .claude/hooks.
+ */
+export function installHook(projectPath) {
+  const hooksDir = path.join(projectPath, '.claude', 'hooks');
+  fs.mkdirSync(hooksDir, { recursive: true });
+  const hookSrc = path.join(__dirname, '..', 'hooks', 'session-start.sh');
+  const hookDst = path.join(hooksDir, 'session-start.sh');
+  fs.copyFileSync(hookSrc, hookDst);
+  fs.chmodSync(hookDst, 0o755);
+}
+
 function registerProject(projectPath, opts = {}) {
   fs.mkdirSync(config.DAEMON_DIR, { recursive: true });
 
-  let data = { projects: [] };
-  try {
-    data = JSON.parse(fs.readFileSync(config.PROJECTS_FILE, 'utf-8'));
-  } catch {}
-
-  // Check if already registered
-  if (data.projects.some(p => p.path === projectPath)) {
-    console.log('  ✓ Project already registered');
-    return;
-  }
-
-  // Derive Claude project dir name (path with slashes replaced by dashes)
-  const claudeProjectDir = projectPath.replace(/\//g, '-').replace(/^-/, '-');
+  const registered = updateProjects(data => {
+    // Check if already registered
+    if (data.projects.some(p => p.path === projectPath)) {
+      return false;
+    }
 
-  data.projects.push({
-    path: projectPath,
-    claudeProjectDir,
-    reflectorThreshold: config.DEFAULT_REFLECTOR_THRESHOLD,
-    skipCatchup: opts.noCatchup || false,
-    registeredAt: new Date().toISOString(),
+    data.projects.push({
+      path: projectPath,
+      claudeProjectDir: claudeProjectDirFor(projectPath),
+      reflectorThreshold: config.DEFAULT_REFLECTOR_THRESHOLD,
+      skipCatchup: opts.noCatchup || false,
+      registeredAt: new Date().toISOString(),
+    });
   });
 
-  fs.writeFileSync(config.PROJECTS_FILE, JSON.stringify(data, null, 2));
-  console.log('  ✓ Registered project with daemon');
+  console.log(registered === false ? '  ✓ Project already registered' : '  ✓ Registered project with daemon');
 }
 
 function mergeSettings(claudeDir) {
@@ -148,7 +148,7 @@ function seedExistingState(projectPath, claudeProjectDir, noCatchup = false) {
   let files;
   try {
     files = fs.readdirSync(claudeDir)
-      .filter(f => f.endsWith('.jsonl'))
+      .filter(isSessionTranscript)
       .map(f => ({
         name: f,
         stat: fs.statSync(path.join(claudeDir, f)),
@@ -162,12 +162,14 @@ function seedExistingState(projectPath, claudeProjectDir, noCatchup = false) {
   // For normal init, leave the 10 newest unseeded so catchup processes them
   const toSeed = noCatchup ? files : files.slice(config.MAX_CATCHUP_FILES);
 
-  for (const file of toSeed) {
-    updateFileOffset(state, file.name, file.stat.size, 0);
-  }
-
   if (toSeed.length > 0) {
-    saveState(projectPath, state);
+    updateState(projectPath, current => {
+      for (const file of toSeed) {
+        const filePath = path.join(claudeDir, file.name);
+        const end = completeLinesEnd(filePath, 0, file.stat.size);
+        updateFileOffset(current, file.name, end, 0, fileFingerprint(filePath, end));
+      }
+    });
     const kept = files.length - toSeed.length;
     if (noCatchup) {
       console.log(`  ✓ Seeded state for ${toSeed.length} conversations (skip-history: no catchup)`);
@@ -201,6 +203,10 @@ observations say a file is at a specific path, go there directly — don't searc
 If observations say an approach was tried and failed, don't retry it unless
 explicitly asked. If observations mention a convention, follow it.
 
+**Topic files**: If the project keeps its memory in \`.claude/memory/\` (one file
+per topic, listed in INDEX.md) and the injected observations say some topics
+were left out, read the relevant topic file when a task touches that area.
+
 **If observations seem wrong or outdated**: Trust what you see in the actual code
 over observations. The code is the source of truth. But mention the discrepancy
 so the observation can be corrected in a future pass.
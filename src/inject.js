@@ -0,0 +1,96 @@
+import path from 'path';
+import config from './config.js';
+import { loadRecords, renderMarkdown, renderRecord, renderIndex, renderMemoryFiles, readMemoryFiles, memoryText, recordTopic, CATEGORIES, CONFIDENCE_LEVELS } from './records.js';
+import { estimateTokens } from './tokens.js';
+
+/**
+ * Resolve a project's injection budget in tokens.
+ */
+export function injectionBudget(project) {
+  return project?.maxInjectedTokens || config.DEFAULT_MAX_INJECTED_TOKENS;
+}
+
+/**
+ * Build what the SessionStart hook injects for a project, within `budget`
+ * tokens. If the memory fits it is injected as-is (in the topic layout: the
+ * index, then every topic file). Otherwise records are picked by confidence,
+ * then recency, until the budget is spent, and rendered in their usual order
+ * with a note about what was left out. In the topic layout the index comes
+ * first, so Claude can read the topic files it needs; it takes at most half
+ * the budget, and the rows past that are left out.
+ *
+ * Returns { text, tokens, included, total } or null if there are no memory
+ * files.
+ */
+export function buildInjection(projectPath, budget) {
+  const { layout, files } = readMemoryFiles(projectPath);
+  if (files.size === 0) return null;
+
+  const markdown = memoryText(files);
+  const records = loadRecords(projectPath);
+  const fullTokens = estimateTokens(markdown);
+  if (fullTokens <= budget) {
+    return { text: markdown, tokens: fullTokens, included: records.length, total: records.length };
+  }
+
+  const ranked = [...records].sort((a, b) =>
+    CONFIDENCE_LEVELS.indexOf(a.confidence) - CONFIDENCE_LEVELS.indexOf(b.confidence) ||
+    b.createdAt.localeCompare(a.createdAt)
+  );
+
+  const topics = layout === 'topics';
+  const index = topics ? fitIndex(records, Math.floor(budget / 2)) : '';
+  const render = (included) => {
+    const omitted = records.length - included.length;
+    if (!topics) {
+      return `${renderMarkdown(included)}\n_${omitted} lower-priority observation(s) omitted to stay within the ${budget}-token injection budget. The full list is in ${config.OBSERVATIONS_FILE}._\n`;
+    }
+    const parts = [...renderMemoryFiles(included, layout).entries()].filter(([rel]) => path.basename(rel) !== config.MEMORY_INDEX_FILE);
+    return `${index}\n${parts.map(([, content]) => content).join('\n')}\n_${omitted} lower-priority observation(s) omitted to stay within the ${budget}-token injection budget. Each topic's full list is in ${config.MEMORY_DIR}/<topic>.md; read it when working in that area._\n`;
+  };
+
+  // Each record costs its bullet, plus the category heading and (in the
+  // topic layout) the topic file heading it is the first to need
+  let remaining = budget - estimateTokens(render([]));
+  const headings = new Set();
+  const selected = new Set();
+  for (const record of ranked) {
+    const topic = topics ? recordTopic(record) : '';
+    const needed = [`${topic}/${record.category}`, topic].filter(h => !headings.has(h));
+    let cost = estimateTokens(renderRecord(record)) + 1;
+    if (needed.includes(`${topic}/${record.category}`)) cost += estimateTokens(`\n## ${CATEGORIES[record.category]}\n\n`);
+    if (needed.includes(topic)) cost += estimateTokens(renderMarkdown([], `Observations: ${topic}`)) + 1;
+    if (cost > remaining) continue;
+    selected.add(record);
+    needed.forEach(h => headings.add(h));
+    remaining -= cost;
+  }
+
+  // The estimates don't add up exactly: drop the lowest-ranked records
+  // until the rendered text fits
+  let included = records.filter(r => selected.has(r));
+  let text = render(included);
+  while (estimateTokens(text) > budget && selected.size > 0) {
+    selected.delete(ranked.findLast(r => selected.has(r)));
+    included = records.filter(r => selected.has(r));
+    text = render(included);
+  }
+
+  return { text, tokens: estimateTokens(text), included: included.length, total: records.length };
+}
+
+// The topic index, without the rows past `maxTokens`
+function fitIndex(records, maxTokens) {
+  const full = renderIndex(records);
+  if (estimateTokens(full) <= maxTokens) return full;
+
+  const lines = full.trimEnd().split('\n');
+  const firstRow = lines.findIndex(line => line.startsWith('|---')) + 1;
+  let kept = lines.length;
+  let text;
+  do {
+    kept--;
+    text = `${lines.slice(0, kept).join('\n')}\n\n_${lines.length - kept} more topic(s) in ${config.MEMORY_DIR}/._\n`;
+  } while (kept > firstRow && estimateTokens(text) > maxTokens);
+  return text;
+}
@@ -0,0 +1,204 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { stateDir } from './state.js';
+import { readLines } from './parser.js';
+
+/**
+ * The observation ledger.
+ *
+ * state/<hash>/ledger.jsonl is the source of truth for a project's
+ * observation records: an append-only log of every change made to them, one
+ * event per line. The records are what the log replays to, and the memory
+ * files are rendered from those, so they can be rebuilt from the ledger at
+ * any time. Events:
+ *
+ *   { at, pass, op: 'add', record }                    a new observation
+ *   { at, pass, op: 'supersede', from: [id], record }  a record replaced by a new version
+ *                                                      (same id when revised in place)
+ *   { at, pass, op: 'merge', from: [ids], record }     several records merged into one
+ *   { at, pass, op: 'delete', id }                     a record removed
+ *
+ * `pass` is the pass that made the change: { id, kind, note }, where kind is
+ * 'observer', 'reflector', 'manual-edit' (hand edits to the memory files),
+ * 'restore' or 'import' (records that predate the ledger). Events written
+ * together share the pass id.
+ */
+
+// filePath -> { size, records: Map(id -> record) }
+const cache = new Map();
+const warned = new Set();
+
+function ledgerFile(projectPath) {
+  return path.join(stateDir(projectPath), 'ledger.jsonl');
+}
+
+/**
+ * True if the project has a ledger yet.
+ */
+export function hasLedger(projectPath) {
+  return fs.existsSync(ledgerFile(projectPath));
+}
+
+/**
+ * Read every event in a project's ledger, oldest first. Lines that can't be
+ * parsed (a write cut short by a crash) are skipped.
+ */
+export function readLedger(projectPath) {
+  const file = ledgerFile(projectPath);
+  let size;
+  try {
+    ({ size } = fs.statSync(file));
+  } catch {
+    return [];
+  }
+  const events = [];
+  for (const { line, start } of readLines(file, 0, size)) {
+    const event = parseEvent(file, line, start);
+    if (event) events.push(event);
+  }
+  return events;
+}
+
+function parseEvent(file, line, offset) {
+  if (!line.trim()) return null;
+  try {
+    return JSON.parse(line);
+  } catch {
+    if (!warned.has(`${file}:${offset}`)) {
+      warned.add(`${file}:${offset}`);
+      console.warn(`[Ledger] Skipping unreadable line at byte ${offset} of ${file}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Replay a project's ledger into its current records, in the order they were
+ * added. Returns null if there is no ledger. Replays are cached and extended
+ * incrementally as the ledger grows; callers get their own copies.
+ */
+export function replayLedger(projectPath) {
+  const file = ledgerFile(projectPath);
+  let size;
+  try {
+    ({ size } = fs.statSync(file));
+  } catch {
+    cache.delete(file);
+    return null;
+  }
+
+  let cached = cache.get(file);
+  if (!cached || size < cached.size) {
+    cached = { size: 0, records: new Map() };
+    cache.set(file, cached);
+  }
+  for (const { line, start, end } of readLines(file, cached.size, size)) {
+    cached.size = end;
+    const event = parseEvent(file, line, start);
+    if (event) applyEvent(cached.records, event);
+  }
+  return structuredClone([...cached.records.values()]);
+}
+
+function applyEvent(records, event) {
+  switch (event.op) {
+    case 'add':
+      records.set(event.record.id, event.record);
+      break;
+    case 'supersede':
+    case 'merge':
+      for (const id of event.from) {
+        if (id !== event.record.id) records.delete(id);
+      }
+      // A record revised in place keeps its position
+      records.set(event.record.id, event.record);
+      break;
+    case 'delete':
+      records.delete(event.id);
+      break;
+  }
+}
+
+/**
+ * The events that turn `before` into `after`. `sources` maps the id of a new
+ * record to the ids it was derived from (see the Reflector), so it is
+ * recorded as a merge or a supersede rather than an add. Records in `before`
+ * that are neither kept nor replaced are deleted.
+ */
+export function diffRecords(before, after, sources = new Map()) {
+  const old = new Map(before.map(r => [r.id, r]));
+  const kept = new Set(after.map(r => r.id).filter(id => old.has(id)));
+  const replaced = new Set();
+  const events = [];
+
+  for (const record of after) {
+    if (old.has(record.id)) {
+      if (JSON.stringify(old.get(record.id)) !== JSON.stringify(record)) {
+        events.push({ op: 'supersede', from: [record.id], record });
+      }
+      continue;
+    }
+    // Sources that are kept as well aren't replaced by this record
+    const from = [...new Set(sources.get(record.id) || [])].filter(id => old.has(id) && !kept.has(id));
+    from.forEach(id => replaced.add(id));
+    if (from.length > 1) events.push({ op: 'merge', from, record });
+    else if (from.length === 1) events.push({ op: 'supersede', from, record });
+    else events.push({ op: 'add', record });
+  }
+
+  for (const id of old.keys()) {
+    if (!kept.has(id) && !replaced.has(id)) events.push({ op: 'delete', id });
+  }
+  return events;
+}
+
+/**
+ * Append events to a project's ledger as one pass ({ kind, note }). Callers
+ * hold the OBSERVATIONS.md lock. Returns the number of events written.
+ */
+export function appendLedger(projectPath, events, pass) {
+  if (events.length === 0) return 0;
+
+  const file = ledgerFile(projectPath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const at = new Date().toISOString();
+  const stamp = { id: crypto.randomBytes(4).toString('hex'), kind: pass.kind, ...(pass.note ? { note: pass.note } : {}) };
+  let text = events.map(event => JSON.stringify({ at, pass: stamp, ...event })).join('\n') + '\n';
+
+  const fd = fs.openSync(file, 'a+');
+  try {
+    // Start on a fresh line if a crash cut the last write short
+    const { size } = fs.fstatSync(fd);
+    if (size > 0) {
+      const last = Buffer.alloc(1);
+      fs.readSync(fd, last, 0, 1, size - 1);
+      if (last[0] !== 0x0a) text = `\n${text}`;
+    }
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return events.length;
+}
+
+/**
+ * The events in a record's history: the events that created or removed it,
+ * those of the records it was derived from, and those of the records later
+ * derived from it. Oldest first.
+ */
+export function recordHistory(events, id) {
+  const ids = new Set([id]);
+  // Walk back to its sources, then forward to what replaced it
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    if (event.record && ids.has(event.record.id)) (event.from || []).forEach(source => ids.add(source));
+  }
+  for (const event of events) {
+    if ((event.from || []).some(source => ids.has(source)) && event.record) ids.add(event.record.id);
+  }
+  return events.filter(event =>
+    ids.has(event.id) || (event.record && ids.has(event.record.id)) || (event.from || []).some(source => ids.has(source))
+  );
+}
@@ -0,0 +1,153 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+
+/**
+ * Cross-process lock files.
+ *
+ * A lock is a file created exclusively (O_EXCL), holding who owns it:
+ *   { owner: 'reflector', pid, host, token, acquiredAt }
+ * It is stale, and taken over, when its process is gone (same host only) or
+ * its mtime is older than the stale age. Long holders refresh the mtime
+ * while they work (see acquireObservationsLock).
+ *
+ * Every writer of OBSERVATIONS.md and its records (Observer appends, the
+ * Reflector, `claude-memory restore`) holds the project's
+ * .claude/observations.lock while it reads and writes them.
+ */
+
+/**
+ * Try once to take a lock. Removes a stale lock first. Returns a handle for
+ * releaseLock, or null if another live process holds it.
+ */
+export function tryLock(lockPath, { owner, staleMs }) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const info = { owner, pid: process.pid, host: os.hostname(), token: crypto.randomUUID(), acquiredAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(info), { flag: 'wx' });
+      return { path: lockPath, token: info.token, timer: null };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const held = readLock(lockPath);
+    if (!held || !isStale(held, staleMs)) return null;
+    console.warn(`[Lock] Removing stale lock ${lockPath} (${describeLock(held)})`);
+    breakLock(lockPath, held);
+  }
+  return null;
+}
+
+/**
+ * Release a lock taken with tryLock, unless another process has since taken
+ * it over.
+ */
+export function releaseLock(handle) {
+  if (!handle) return;
+  clearInterval(handle.timer);
+  if (readLock(handle.path)?.token === handle.token) {
+    try { fs.unlinkSync(handle.path); } catch {}
+  }
+}
+
+/**
+ * Read a lock file: { owner, pid, host, token, acquiredAt, mtimeMs }, or
+ * null if there is none. Lock files from older versions hold only a pid.
+ */
+export function readLock(lockPath) {
+  let text;
+  let mtimeMs;
+  try {
+    text = fs.readFileSync(lockPath, 'utf-8');
+    ({ mtimeMs } = fs.statSync(lockPath));
+  } catch {
+    return null;
+  }
+  let info;
+  try {
+    info = JSON.parse(text);
+  } catch {
+    info = null;
+  }
+  if (!info || typeof info !== 'object') {
+    info = { owner: null, pid: parseInt(text) || null, host: os.hostname(), token: null, acquiredAt: null };
+  }
+  return { ...info, mtimeMs };
+}
+
+/**
+ * Describe who holds a lock, for messages.
+ */
+export function describeLock(info) {
+  const who = `${info.owner || 'unknown owner'}${info.pid ? `, pid ${info.pid}` : ''}${info.host && info.host !== os.hostname() ? ` on ${info.host}` : ''}`;
+  const since = info.acquiredAt || new Date(info.mtimeMs).toISOString();
+  return `held by ${who} since ${since.slice(0, 19).replace('T', ' ')}`;
+}
+
+function isStale(info, staleMs) {
+  if (Date.now() - info.mtimeMs > staleMs) return true;
+  // A process on another machine can't be checked; only its age tells
+  if (!info.pid || (info.host && info.host !== os.hostname())) return false;
+  try {
+    process.kill(info.pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === 'ESRCH';
+  }
+}
+
+/**
+ * Remove a stale lock without racing another process that removed it too
+ * and took a fresh lock in between: move it aside, and put it back if what
+ * was moved isn't the lock found stale.
+ */
+function breakLock(lockPath, stale) {
+  const aside = `${lockPath}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockPath, aside);
+  } catch {
+    return;
+  }
+  const moved = readLock(aside);
+  if (moved && moved.token !== stale.token) {
+    try { fs.linkSync(aside, lockPath); } catch {}
+  }
+  try { fs.unlinkSync(aside); } catch {}
+}
+
+/**
+ * Take a project's OBSERVATIONS.md lock, waiting up to LOCK_MAX_RETRIES ×
+ * LOCK_RETRY_DELAY_MS while another writer holds it. The lock's mtime is
+ * refreshed every LOCK_HEARTBEAT_MS until it is released (or taken over), so
+ * a long Reflector pass isn't mistaken for a stale lock. Returns a handle for releaseLock, or
+ * null if the lock is still held after waiting (or `wait` is false).
+ */
+export async function acquireObservationsLock(projectPath, owner, { wait = true } = {}) {
+  const lockPath = path.join(projectPath, config.LOCK_FILE);
+  const options = { owner, staleMs: config.LOCK_STALE_MS };
+
+  let handle = tryLock(lockPath, options);
+  for (let retry = 1; !handle && wait && retry <= config.LOCK_MAX_RETRIES; retry++) {
+    const held = readLock(lockPath);
+    console.log(`[Lock] ${config.OBSERVATIONS_FILE} is locked${held ? ` (${describeLock(held)})` : ''}, waiting... (retry ${retry}/${config.LOCK_MAX_RETRIES})`);
+    await new Promise(r => setTimeout(r, config.LOCK_RETRY_DELAY_MS));
+    handle = tryLock(lockPath, options);
+  }
+  if (!handle) return null;
+
+  handle.timer = setInterval(() => {
+    // Once another process has taken the lock over, its freshness is theirs
+    if (readLock(lockPath)?.token !== handle.token) {
+      clearInterval(handle.timer);
+      console.warn(`[Lock] ${lockPath} was taken over by another process; no longer refreshing it`);
+      return;
+    }
+    const now = new Date();
+    try { fs.utimesSync(lockPath, now, now); } catch {}
+  }, config.LOCK_HEARTBEAT_MS);
+  handle.timer.unref();
+  return handle;
+}
@@ -1,8 +1,16 @@
-import { execFileSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from './config.js';
+import { complete, describeBackend } from './backends.js';
+import { chunkSegments } from './chunker.js';
+import { parseRecords, extractJsonArray, normalizeRecord, dedupeRecords, syncRecords, saveRecords, readMemoryFiles, memoryText } from './records.js';
+import { compileRules, scrubRecords } from './redact.js';
+import { estimateTokens } from './tokens.js';
+import { snapshot } from './history.js';
+import { stateDir } from './state.js';
+import { readJson, updateJson } from './storage.js';
+import { acquireObservationsLock, releaseLock } from './lock.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OBSERVER_PROMPT_PATH = path.join(__dirname, '..', 'prompts', 'observer.md');
@@ -22,90 +30,213 @@ function extractTagContent(text, tagName) {
 }
 
 /**
- * Run the Observer pass on a conversation delta.
- * Returns the observations text, or null if NO_OBSERVATIONS.
+ * Run the Observer pass on a conversation delta using the given backend spec.
+ * Returns an array of validated raw records, or null if NO_OBSERVATIONS or an
+ * empty array. Throws if the backend call fails, its output can't be parsed
+ * or holds no valid record, or `opts.signal` aborts, so a failed pass is
+ * never mistaken for an empty one.
+ *
+ * @param {object} opts
+ * @param {{index: number, total: number}} opts.part - position of this chunk in a chunked delta
+ * @param {string} opts.header - session metadata (branch, directory, time; see formatSessionHeader)
+ * @param {string} opts.context - previous context (session thread, compaction summary)
+ * @param {string[]} opts.topics - topics the project's memory already uses
+ * @param {AbortSignal} opts.signal
  */
-export function runObserver(conversationText) {
+export async function runObserver(conversationText, backend = config.DEFAULT_BACKEND, opts = {}) {
+  const { part, header, context, topics = [], signal } = opts;
+
   if (!conversationText || conversationText.trim().length === 0) {
     return null;
   }
 
   const systemPrompt = fs.readFileSync(OBSERVER_PROMPT_PATH, 'utf-8');
 
-  const wrappedInput = `<conversation>\n${conversationText}\n</conversation>\n\nAnalyze the conversation above and produce observations per your instructions. Wrap any observations in <observation_file_contents> tags.`;
-
+  const partNote = part
+    ? `This is part ${part.index} of ${part.total} of one long conversation. The other parts are analyzed separately; the start of this part may repeat the end of the previous one.\n\n`
+    : '';
+  const headerNote = header
+    ? `<session_metadata>\n${header}\n</session_metadata>\n\n`
+    : '';
+  const contextNote = context
+    ? `<previous_context>\n${context}\n</previous_context>\n\n`
+    : '';
+  const topicsNote = topics.length > 0
+    ? `<existing_topics>\n${topics.join(', ')}\n</existing_topics>\n\n`
+    : '';
+  const wrappedInput = `${partNote}${headerNote}${contextNote}${topicsNote}<conversation>\n${conversationText}\n</conversation>\n\nAnalyze the conversation above and produce observations per your instructions. Wrap the JSON array of observation records in <observation_file_contents> tags.`;
+
+  let result;
   try {
-    const result = execFileSync('claude', [
-      '-p',
-      '--system-prompt', systemPrompt,
-      '--output-format', 'text',
-    ], {
-      input: wrappedInput,
-      encoding: 'utf-8',
-      maxBuffer: 10 * 1024 * 1024, // 10MB
-      timeout: 600_000, // 10 min
-    });
-
-    const output = result.trim();
-
-    if (output === 'NO_OBSERVATIONS' || output.includes('NO_OBSERVATIONS')) {
-      return null;
-    }
-
-    return extractTagContent(output, 'observation_file_contents');
+    result = await complete(backend, { systemPrompt, input: wrappedInput, signal });
   } catch (err) {
-    console.error('[Observer] claude -p failed:', err.message);
+    if (signal?.aborted) throw signal.reason;
+    throw new Error(`${describeBackend(backend)} failed: ${err.message}`);
+  }
+
+  const output = result.trim();
+
+  if (!output) {
+    throw new Error(`${describeBackend(backend)} returned an empty response`);
+  }
+
+  if (output === 'NO_OBSERVATIONS' || output.includes('NO_OBSERVATIONS')) {
     return null;
   }
+
+  const content = extractTagContent(output, 'observation_file_contents');
+  const records = parseRecords(content);
+  if (records.length > 0) return records;
+  // Only an explicit empty array means there was nothing to record
+  if (extractJsonArray(content)?.length === 0) return null;
+  throw new Error(`${describeBackend(backend)} returned no valid observation records`);
 }
 
 /**
- * Append observations to the project's observations.md.
- * Respects the Reflector lock file — retries if locked.
+ * Run the Observer over transcript segments, one pass per token-bounded chunk.
+ * Each record gets provenance pointing at the chunk it came from: `opts.file`
+ * (the JSONL file name), the chunk's byte range and message uuids, and the
+ * git branch (`opts.branch`) it was on.
+ * Every chunk gets the same `opts.header`, `opts.context` (see parser.js
+ * formatSessionHeader and sessions.js previousContext) and `opts.topics`.
+ * Results from all chunks are merged and deduplicated.
+ * Returns the merged records, or null if no chunk produced any.
+ * Throws if any chunk fails; the caller retries the whole delta.
  */
-export async function appendObservations(projectPath, observations, sessionId) {
-  const obsPath = path.join(projectPath, config.OBSERVATIONS_FILE);
-  const lockPath = path.join(projectPath, config.LOCK_FILE);
-
-  // Wait for lock if Reflector is running
-  let retries = 0;
-  while (fs.existsSync(lockPath) && retries < config.LOCK_MAX_RETRIES) {
-    console.log(`[Observer] Lock file present, waiting... (retry ${retries + 1}/${config.LOCK_MAX_RETRIES})`);
-    await new Promise(r => setTimeout(r, config.LOCK_RETRY_DELAY_MS));
-    retries++;
+export async function runObserverChunked(segments, backend = config.DEFAULT_BACKEND, opts = {}) {
+  const { signal, file = null, header = '', context = '', topics = [], branch = null } = opts;
+  const chunks = chunkSegments(segments);
+  if (chunks.length > 1) {
+    console.log(`[Observer] Delta split into ${chunks.length} chunks`);
+  }
+
+  const results = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const part = chunks.length > 1 ? { index: i + 1, total: chunks.length } : null;
+    const records = await runObserver(chunk.text, backend, { part, header, context, topics, signal });
+    if (!records) continue;
+
+    const provenance = [{
+      file,
+      fromOffset: chunk.start,
+      toOffset: chunk.end,
+      uuids: chunk.uuids,
+      timestamp: chunk.timestamp,
+      branch,
+    }];
+    results.push(records.map(r => ({ ...r, provenance })));
   }
 
-  if (fs.existsSync(lockPath)) {
-    console.error('[Observer] Lock file still present after max retries. Skipping append.');
+  return mergeObservations(results);
+}
+
+/**
+ * Merge records from several Observer passes, dropping duplicate statements.
+ * Returns null if nothing remains.
+ */
+export function mergeObservations(results) {
+  const merged = dedupeRecords(results.flat());
+  return merged.length > 0 ? merged : null;
+}
+
+/**
+ * Add Observer records to the project's observation store and re-render
+ * OBSERVATIONS.md. Statements already in the store are skipped, and secrets
+ * the Observer repeated are scrubbed (`opts.redactRules` adds custom rules).
+ *
+ * Holds the OBSERVATIONS.md lock (see lock.js) while writing. If another
+ * writer keeps it past the wait, the records are queued in the project's
+ * state and added by the next append (or flushQueuedAppends) instead of
+ * being dropped. Records queued earlier are added first.
+ * Returns true if anything was added.
+ */
+export async function appendObservations(projectPath, records, sessionId, opts = {}) {
+  const scrubbed = scrubRecords(records, compileRules(opts.redactRules));
+
+  const lock = await acquireObservationsLock(projectPath, 'observer', { wait: opts.wait ?? true });
+  if (!lock) {
+    if (scrubbed.length > 0) {
+      queueAppend(projectPath, { sessionId, createdAt: new Date().toISOString(), records: scrubbed });
+      console.warn(`[Observer] ${config.OBSERVATIONS_FILE} is still locked; queued ${scrubbed.length} observation(s) to add on the next pass`);
+    }
     return false;
   }
 
-  // Ensure lock directory and observations file exist
-  const lockDir = path.dirname(lockPath);
-  fs.mkdirSync(lockDir, { recursive: true });
-  if (!fs.existsSync(obsPath)) {
-    fs.writeFileSync(obsPath, '# Observations\n');
+  try {
+    const queued = readJson(queuedAppendsFile(projectPath))?.batches || [];
+    const batches = [...queued];
+    if (scrubbed.length > 0) {
+      batches.push({ sessionId, createdAt: new Date().toISOString(), records: scrubbed });
+    }
+    if (batches.length === 0) return false;
+
+    const existing = syncRecords(projectPath);
+    const added = [];
+    for (const batch of batches) {
+      // Duplicates of recorded observations only add their provenance to them
+      added.push(...dedupeRecords(batch.records, [...existing, ...added])
+        .map(r => normalizeRecord(r, { sessionId: batch.sessionId, createdAt: batch.createdAt })));
+    }
+
+    const sessions = [...new Set(batches.map(b => b.sessionId))].join(', ');
+    if (added.length > 0) {
+      snapshot(projectPath, `append (session ${sessions})`);
+    }
+    saveRecords(projectPath, [...existing, ...added], { kind: 'observer', note: `session ${sessions}` });
+    if (queued.length > 0) dequeueAppends(projectPath, queued.length);
+
+    if (added.length === 0) {
+      console.log('[Observer] All observations already recorded');
+      return false;
+    }
+    return true;
+  } finally {
+    releaseLock(lock);
   }
+}
+
+/**
+ * Add observations queued while OBSERVATIONS.md was locked, if the lock is
+ * free now. Returns true if anything was added.
+ */
+export async function flushQueuedAppends(projectPath) {
+  if (countQueuedAppends(projectPath) === 0) return false;
+  return appendObservations(projectPath, [], null, { wait: false });
+}
 
-  const now = new Date();
-  const dateStr = now.toISOString().replace('T', ' ').slice(0, 16);
-  const header = `\n## ${dateStr} — Session ${sessionId}\n\n`;
+// Appends waiting for the lock: state/<hash>/queued-appends.json holds
+// { batches: [{ sessionId, createdAt, records }] }, records already scrubbed
 
-  fs.appendFileSync(obsPath, header + observations + '\n');
-  return true;
+function queuedAppendsFile(projectPath) {
+  return path.join(stateDir(projectPath), 'queued-appends.json');
+}
+
+function queueAppend(projectPath, batch) {
+  updateJson(queuedAppendsFile(projectPath), { batches: [] }, data => {
+    data.batches.push(batch);
+  });
+}
+
+// Batches are only ever added at the end, so the first `count` are the ones
+// that were just written
+function dequeueAppends(projectPath, count) {
+  updateJson(queuedAppendsFile(projectPath), { batches: [] }, data => {
+    data.batches = data.batches.slice(count);
+  });
 }
 
 /**
- * Check if observations.md exceeds the token threshold.
+ * Number of appends waiting for the OBSERVATIONS.md lock.
+ */
+export function countQueuedAppends(projectPath) {
+  return readJson(queuedAppendsFile(projectPath))?.batches.length || 0;
+}
+
+/**
+ * Check if the project's memory (OBSERVATIONS.md, or all topic files)
+ * exceeds the token threshold.
  */
 export function exceedsThreshold(projectPath, threshold) {
-  const obsPath = path.join(projectPath, config.OBSERVATIONS_FILE);
-  try {
-    const stat = fs.statSync(obsPath);
-    // Rough token estimate: chars / 4
-    const estimatedTokens = stat.size / 4;
-    return estimatedTokens > threshold;
-  } catch {
-    return false;
-  }
+  return estimateTokens(memoryText(readMemoryFiles(projectPath).files)) > threshold;
 }
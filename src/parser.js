@@ -1,86 +1,391 @@
 import fs from 'fs';
+import path from 'path';
 import config from './config.js';
+import { compileRules, redactEntry } from './redact.js';
+import { findFormatter, callFormatter } from './formatters.js';
 
 /**
  * Parse a JSONL conversation file from a byte offset, returning human-readable text.
- * Returns { text, newOffset } where newOffset is the end-of-file position.
+ * Secrets are redacted from every entry before formatting (see redact.js);
+ * `opts.redactRules` adds a project's custom rules to the built-in ones.
+ * `opts.formatters` are the project's tool formatter plugins (see formatters.js).
+ *
+ * The file is streamed line by line and formatted as it is read, so memory
+ * stays bounded by the formatted output, which is capped at `opts.maxChars`
+ * (default config.MAX_DELTA_CHARS). Parsing stops at the first message
+ * boundary past the cap; the caller observes what was parsed and continues
+ * from newOffset in a later pass.
+ *
+ * Returns { text, segments, uuids, metadata, newOffset, complete }:
+ * - segments: one per message (or compressed error chain), each
+ *   { text, start, end, uuids, timestamp } with the byte range and message
+ *   uuids it came from, so callers can split on message boundaries and record
+ *   where an observation came from
+ * - uuids: all message uuids in the delta
+ * - metadata: what the entries say about the session (see collectMetadata);
+ *   formatSessionHeader turns it into a header for the Observer
+ * - newOffset: where parsing stopped. Without the cap, the end of the last
+ *   complete (newline-terminated) line before toOffset (or the end of the
+ *   file); a partial last line, e.g. one Claude Code is still writing, is left
+ *   for the next pass
+ * - complete: false if the cap stopped parsing before the end of the range
  *
  * Claude Code JSONL format:
  * - Top-level entries have type: "user", "assistant", "system", "summary", etc.
  * - Content is in entry.message.content (string for user, array of blocks for assistant)
  * - Tool use blocks (type: "tool_use") appear inside assistant message content arrays
  * - Tool result blocks (type: "tool_result") appear inside user message content arrays
+ * - "summary" entries title a conversation and are used for threading (see
+ *   sessions.js), not shown; compaction summaries are labelled as such
+ * - Subagents (Task/Agent tool) run as sidechains: either entries with
+ *   isSidechain: true in the session file, or a separate transcript file
+ *   (see findSubagentTranscript). Both are folded in as labelled sections.
  */
-export function parseConversationDelta(filePath, fromOffset = 0) {
+export function parseConversationDelta(filePath, fromOffset = 0, toOffset = null, opts = {}) {
   const stat = fs.statSync(filePath);
-  if (stat.size <= fromOffset) {
-    return { text: '', newOffset: fromOffset };
+  const endOffset = toOffset === null ? stat.size : Math.min(toOffset, stat.size);
+  if (endOffset <= fromOffset) {
+    return { text: '', segments: [], uuids: [], metadata: newMetadata(), newOffset: fromOffset, complete: true };
+  }
+
+  const rules = compileRules(opts.redactRules);
+  const metadata = newMetadata();
+  const { segments, uuids, end, complete } = formatStream(readEntries(filePath, fromOffset, endOffset, rules), {
+    filePath,
+    rules,
+    formatters: opts.formatters || [],
+    toolUses: new Map(),
+    metadata,
+    nested: false,
+    // Who acted last (see noteUserSignals). A delta that starts mid-file
+    // almost always follows the assistant's reply, so a user message at its
+    // start can still be a correction.
+    turn: fromOffset > 0 ? 'assistant' : null,
+  }, fromOffset, opts.maxChars ?? config.MAX_DELTA_CHARS);
+
+  if (metadata.startTime && metadata.endTime) {
+    metadata.durationMs = Math.max(0, Date.parse(metadata.endTime) - Date.parse(metadata.startTime)) || 0;
   }
 
+  return {
+    text: segments.map(s => s.text).join('\n'),
+    segments,
+    uuids,
+    metadata,
+    newOffset: end,
+    complete,
+  };
+}
+
+/**
+ * Read the complete lines in [fromOffset, toOffset) in READ_BLOCK_BYTES
+ * blocks. Yields { line, start, end } with each line's byte range (end is
+ * past the newline). A partial last line is not yielded.
+ */
+export function* readLines(filePath, fromOffset, toOffset) {
   const fd = fs.openSync(filePath, 'r');
-  const buf = Buffer.alloc(stat.size - fromOffset);
-  fs.readSync(fd, buf, 0, buf.length, fromOffset);
-  fs.closeSync(fd);
+  try {
+    const block = Buffer.alloc(config.READ_BLOCK_BYTES);
+    let carry = []; // pieces of a line spanning blocks
+    let lineStart = fromOffset;
+    let pos = fromOffset;
 
-  const raw = buf.toString('utf-8');
-  const lines = raw.split('\n').filter(l => l.trim());
+    while (pos < toOffset) {
+      const read = fs.readSync(fd, block, 0, Math.min(block.length, toOffset - pos), pos);
+      if (read === 0) break;
+      const data = block.subarray(0, read);
 
-  // Parse all lines into objects
-  const entries = [];
-  for (const line of lines) {
-    try {
-      entries.push(JSON.parse(line));
-    } catch {
-      continue;
+      let from = 0;
+      let nl;
+      while ((nl = data.indexOf(0x0a, from)) !== -1) {
+        const piece = data.subarray(from, nl);
+        const line = carry.length > 0 ? Buffer.concat([...carry, piece]) : piece;
+        carry = [];
+        const end = pos + nl + 1;
+        yield { line: line.toString('utf-8'), start: lineStart, end };
+        lineStart = end;
+        from = nl + 1;
+      }
+      if (from < read) carry.push(Buffer.from(data.subarray(from)));
+      pos += read;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Parse the complete JSONL lines in [fromOffset, endOffset), redacting
+ * secrets. Yields { entry, start, end } per line; entry is null for blank or
+ * unparseable lines, so consumers still see how far the file was read.
+ */
+function* readEntries(filePath, fromOffset, endOffset, rules) {
+  for (const { line, start, end } of readLines(filePath, fromOffset, endOffset)) {
+    let entry = null;
+    if (line.trim()) {
+      try {
+        entry = redactEntry(JSON.parse(line), rules);
+      } catch {
+        // Not JSON; skipped
+      }
     }
+    yield { entry, start, end };
   }
+}
 
-  // Format with error chain detection
-  const parts = formatWithChainDetection(entries);
+// ---- Session metadata ----
 
+function newMetadata() {
   return {
-    text: parts.join('\n'),
-    newOffset: stat.size,
+    branch: null, // git branch at the end of the delta
+    branches: [], // every branch seen, in order
+    cwd: null,
+    version: null, // Claude Code version
+    models: [],
+    startTime: null,
+    endTime: null,
+    durationMs: 0,
+    turns: 0, // messages the user typed
+    corrections: 0, // user messages correcting the previous assistant action
+    interruptions: 0,
+    rejections: 0, // tool calls the user rejected
   };
 }
 
 /**
- * Walk entries sequentially, detecting error chains and compressing them.
- * Returns an array of formatted strings.
+ * Fold the session fields Claude Code writes on every entry (gitBranch,
+ * cwd, version, timestamp, message.model) into `meta`.
  */
-function formatWithChainDetection(entries) {
-  const parts = [];
-  let i = 0;
+function collectMetadata(meta, entry) {
+  if (entry.gitBranch) {
+    meta.branch = entry.gitBranch;
+    if (!meta.branches.includes(entry.gitBranch)) meta.branches.push(entry.gitBranch);
+  }
+  if (entry.cwd) meta.cwd = entry.cwd;
+  if (entry.version) meta.version = entry.version;
+  if (entry.timestamp) {
+    meta.startTime ??= entry.timestamp;
+    meta.endTime = entry.timestamp;
+  }
+  const model = entry.type === 'assistant' ? entry.message?.model : null;
+  if (model && model !== '<synthetic>' && !meta.models.includes(model)) {
+    meta.models.push(model);
+  }
+  const text = entry.isSidechain ? '' : getUserText(entry);
+  if (text && !INTERRUPT_MARKER.test(text.trim())) meta.turns++;
+}
 
-  while (i < entries.length) {
-    // Try to detect an error chain starting here
-    const chain = tryDetectChain(entries, i);
-
-    if (chain) {
-      if (chain.attempts.length === 1) {
-        // Single error: show the tool call + error marker, skip the error result entry
-        const attempt = chain.attempts[0];
-        for (const tu of attempt.toolUses) {
-          parts.push(`[Tool: ${tu.name}] ${tu.summary}`);
-        }
-        parts.push(`[Tool error: ${attempt.errorBrief}]`);
-      } else {
-        // Chain of 2+: compressed summary replaces all error pairs
-        parts.push(formatChainSummary(chain));
+/**
+ * Format delta metadata as the header lines the Observer reads before the
+ * conversation. The working directory is shown relative to `projectPath`,
+ * and only when it's a subdirectory. Returns '' if there is nothing to show.
+ */
+export function formatSessionHeader(metadata, projectPath = null) {
+  if (!metadata) return '';
+  const lines = [];
+
+  if (metadata.branches.length > 1) {
+    lines.push(`Branch: ${metadata.branches.join(' → ')}`);
+  } else if (metadata.branch) {
+    lines.push(`Branch: ${metadata.branch}`);
+  }
+
+  if (metadata.cwd) {
+    const rel = projectPath ? path.relative(projectPath, metadata.cwd) : metadata.cwd;
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) {
+      lines.push(`Directory: ${rel}`);
+    } else if (rel && rel !== metadata.cwd) {
+      lines.push(`Directory: ${metadata.cwd} (outside the project)`);
+    }
+  }
+
+  if (metadata.startTime) {
+    const start = metadata.startTime.slice(0, 16).replace('T', ' ');
+    const end = metadata.endTime.slice(0, 16).replace('T', ' ');
+    const until = end === start ? '' : ` → ${end.slice(0, 10) === start.slice(0, 10) ? end.slice(11) : end}`;
+    lines.push(`Time: ${start}${until} UTC${metadata.durationMs >= 60000 ? ` (${formatDuration(metadata.durationMs)})` : ''}`);
+  }
+
+  if (metadata.models.length > 0) {
+    lines.push(`Model: ${metadata.models.join(', ')}`);
+  }
+  if (metadata.turns > 0) {
+    lines.push(`User messages: ${metadata.turns}`);
+  }
+  const signals = [
+    plural(metadata.corrections, 'correction'),
+    plural(metadata.interruptions, 'interruption'),
+    plural(metadata.rejections, 'rejected tool call'),
+  ].filter(Boolean);
+  if (signals.length > 0) {
+    lines.push(`User signals: ${signals.join(', ')}`);
+  }
+  if (metadata.version) {
+    lines.push(`Claude Code version: ${metadata.version}`);
+  }
+  return lines.join('\n');
+}
+
+function plural(count, noun) {
+  if (!count) return '';
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Whether a .jsonl file in a Claude project directory is a session
+ * transcript. Subagent transcripts (agent-*.jsonl) are folded into their
+ * parent session by the parser and are not processed on their own.
+ */
+export function isSessionTranscript(fileName) {
+  return fileName.endsWith('.jsonl') && !path.basename(fileName).startsWith('agent-');
+}
+
+/**
+ * Format a stream of entries (see readEntries), compressing error chains and
+ * runs of repetitive successful tool calls. Entries are held in a sliding
+ * window only while the chain or run at its head could still grow (up to
+ * FORMAT_WINDOW_ENTRIES); everything before that is formatted and released.
+ * Runs of sidechain entries are indented into a labelled subagent section.
+ *
+ * Stops at the first message boundary once the formatted text reaches
+ * maxChars. Returns { segments, uuids, end, complete }, where end is the
+ * offset after the last line consumed (fromOffset if none).
+ */
+function formatStream(items, ctx, fromOffset, maxChars = Infinity) {
+  const segments = [];
+  const uuids = [];
+  const entries = [];
+  const positions = [];
+  let end = fromOffset;
+  let chars = 0;
+  let exhausted = false;
+  let prevSidechain = false;
+
+  const closeSidechain = () => {
+    if (prevSidechain) segments[segments.length - 1].text += '\n[End subagent transcript]';
+    prevSidechain = false;
+  };
+
+  while (true) {
+    // Read until the head of the window can be formatted
+    while (!exhausted && (entries.length === 0 || (entries.length < config.FORMAT_WINDOW_ENTRIES && headOpen(entries, ctx)))) {
+      const next = items.next();
+      if (next.done) {
+        exhausted = true;
+        break;
       }
-      i = chain.endIndex;
-      continue;
+      const { entry, start, end: lineEnd } = next.value;
+      if (!entry) {
+        // Blank lines only move the offset when nothing is waiting in the window
+        if (entries.length === 0) end = lineEnd;
+        continue;
+      }
+      recordToolUses(ctx, entry);
+      entries.push(entry);
+      positions.push({ start, end: lineEnd });
     }
+    if (entries.length === 0) break;
 
-    // Normal formatting
-    const formatted = formatEntry(entries[i]);
-    if (formatted.length > 0) {
-      parts.push(...formatted);
+    const { text, count } = formatHead(entries, ctx);
+    if (text) {
+      const segment = makeSegment(text, entries, positions, 0, count);
+      const sidechain = Boolean(entries[0].isSidechain);
+      // A subagent transcript parsed on its own is all sidechain; only nest
+      // sidechain runs inside a session
+      if (!ctx.nested && sidechain) {
+        segment.text = indentLines(segment.text);
+        if (!prevSidechain) segment.text = `[Subagent transcript]\n${segment.text}`;
+        prevSidechain = true;
+      } else if (!ctx.nested) {
+        closeSidechain();
+      }
+      segments.push(segment);
+      chars += segment.text.length + 1;
+    }
+    for (const entry of entries.slice(0, count)) {
+      if (entry.uuid) uuids.push(entry.uuid);
+      if (!ctx.nested) {
+        collectMetadata(ctx.metadata, entry);
+        noteUserSignals(ctx, entry);
+      }
+    }
+    end = positions[count - 1].end;
+    entries.splice(0, count);
+    positions.splice(0, count);
+
+    if (chars >= maxChars && (entries.length > 0 || !exhausted)) {
+      closeSidechain();
+      items.return();
+      return { segments, uuids, end, complete: false };
     }
-    i++;
   }
 
-  return parts;
+  closeSidechain();
+  return { segments, uuids, end, complete: true };
+}
+
+/**
+ * Format the entry (or error chain, or tool run) at the head of the window.
+ * Returns { text, count } with the number of entries it used.
+ */
+function formatHead(entries, ctx) {
+  const chain = tryDetectChain(entries, 0, ctx);
+  if (chain) {
+    if (chain.attempts.length === 1) {
+      // Single error: show the tool call + error marker, skip the error result entry
+      const attempt = chain.attempts[0];
+      const lines = attempt.toolUses.map(tu => `[Tool: ${tu.name}] ${tu.summary}`);
+      if (attempt.response) {
+        // Rejected or interrupted by the user: not a failure, a signal
+        const verb = attempt.response.kind === 'rejected' ? 'rejected' : 'interrupted';
+        lines.push(`[User ${verb} ${attempt.toolUses[0].name}]`);
+        if (attempt.response.feedback) lines.push(`[User correction]: ${attempt.response.feedback}`);
+      } else {
+        lines.push(`[Tool error: ${attempt.errorBrief}]`);
+      }
+      return { text: lines.join('\n'), count: chain.endIndex };
+    }
+    // Chain of 2+: compressed summary replaces all error pairs
+    return { text: formatChainSummary(chain), count: chain.endIndex };
+  }
+
+  const run = tryDetectRun(entries, 0, ctx);
+  if (run && run.calls.length >= config.RUN_MIN_CALLS) {
+    return { text: formatRunSummary(run), count: run.endIndex };
+  }
+
+  // Normal formatting
+  return { text: formatEntry(entries[0], ctx).join('\n'), count: 1 };
+}
+
+/**
+ * Build a segment for the formatted text of entries[from..to).
+ */
+function makeSegment(text, entries, positions, from, to) {
+  const slice = entries.slice(from, to);
+  return {
+    text,
+    start: positions[from].start,
+    end: positions[to - 1].end,
+    uuids: slice.map(e => e.uuid).filter(Boolean),
+    timestamp: slice.find(e => e.timestamp)?.timestamp || null,
+  };
+}
+
+/**
+ * Whether the error chain or tool run (if any) starting at entries[0] could
+ * still grow: detection ran into the end of the window before it ended.
+ */
+function headOpen(entries, ctx) {
+  if (!getToolUses(entries[0], ctx)) return false;
+  if (entries.length < 2) return true;
+  return Boolean(tryDetectChain(entries, 0, ctx)?.open || tryDetectRun(entries, 0, ctx)?.open);
 }
 
 /**
@@ -89,11 +394,17 @@ function formatWithChainDetection(entries) {
  * A chain is 1+ consecutive (assistant-with-tool_use, user-with-error-tool_result) pairs
  * for the same tool name. Text-only assistant messages between retries are skipped.
  *
- * Returns { attempts, endIndex } or null.
+ * A call the user rejected or interrupted is never retried blindly, so it
+ * stands alone as a one-attempt chain (attempt.response, see userResponse)
+ * and ends any chain before it.
+ *
+ * Returns { attempts, endIndex, open, resolution } or null.
  * endIndex points to the first entry AFTER the chain (the resolution or next unrelated entry).
+ * open is true if the entries ran out before the chain ended.
+ * resolution is how the chain ended (see resolveChain), or null if nothing follows it yet.
  */
-function tryDetectChain(entries, startIndex) {
-  const firstToolUses = getToolUses(entries[startIndex]);
+function tryDetectChain(entries, startIndex, ctx = {}) {
+  const firstToolUses = getToolUses(entries[startIndex], ctx);
   if (!firstToolUses) return null;
 
   const chainToolName = firstToolUses[0].name;
@@ -111,8 +422,14 @@ function tryDetectChain(entries, startIndex) {
     toolUses: firstToolUses,
     errors: firstErrors,
     errorBrief: classifyError(firstErrors),
+    response: userResponse(firstErrors),
   }];
+  if (attempts[0].response) {
+    return { attempts, endIndex: startIndex + 2, open: false, resolution: null };
+  }
   let i = startIndex + 2;
+  let endIndex = i; // after the last failed attempt
+  let open = true;
 
   while (i < entries.length) {
     // Skip text-only assistant messages between retries ("I need permission...")
@@ -121,7 +438,8 @@ function tryDetectChain(entries, startIndex) {
       continue;
     }
 
-    const toolUses = getToolUses(entries[i]);
+    open = false;
+    const toolUses = getToolUses(entries[i], ctx);
     if (!toolUses) break;
 
     // Parallel calls from the same API message share message.id — not retries.
@@ -130,14 +448,22 @@ function tryDetectChain(entries, startIndex) {
 
     if (toolUses[0].name !== chainToolName) break;
 
+    // Its result hasn't been read yet
+    if (i + 1 >= entries.length) {
+      open = true;
+      break;
+    }
+
     const errors = getErrorResults(entries[i + 1]);
-    if (errors) {
+    if (errors && !userResponse(errors)) {
       attempts.push({
         toolUses: toolUses,
         errors: errors,
         errorBrief: classifyError(errors),
       });
       i += 2;
+      endIndex = i;
+      open = true;
       continue;
     }
 
@@ -145,7 +471,66 @@ function tryDetectChain(entries, startIndex) {
     break;
   }
 
-  return { attempts, endIndex: i };
+  // Text-only messages after the last attempt aren't part of the chain
+  const resolution = i < entries.length ? resolveChain(entries, i, chainToolName, attempts, ctx) : null;
+  return { attempts, endIndex, open, resolution };
+}
+
+/**
+ * Classify how a chain ended from the first entry after it that isn't
+ * assistant text. Returns { outcome, detail } where outcome is:
+ * - 'succeeded': the same tool then worked; detail is the winning input
+ * - 'switched': a different tool was used instead; detail is that call
+ * - 'user': the user stepped in; detail is what they said
+ * - 'abandoned': the chain was dropped for something else
+ * Returns null if the outcome can't be told yet (the retry's result hasn't
+ * been read).
+ */
+function resolveChain(entries, i, chainToolName, attempts, ctx) {
+  const next = entries[i];
+  const toolUses = getToolUses(next, ctx);
+
+  if (toolUses && toolUses[0].name === chainToolName) {
+    const result = entries[i + 1];
+    if (!result) return null;
+    if (!hasSuccessfulResult(result)) {
+      // The retry was rejected: the user stepped in
+      const response = userResponse(getErrorResults(result) || []);
+      if (response) return { outcome: 'user', detail: response.feedback || `${response.kind} the retry` };
+      return { outcome: 'abandoned', detail: null };
+    }
+    const input = toolUses.map(t => t.summary).join(', ');
+    const lastInput = attempts[attempts.length - 1].toolUses.map(t => t.summary).join(', ');
+    return { outcome: 'succeeded', detail: input, sameInput: input === lastInput };
+  }
+
+  if (toolUses) {
+    return { outcome: 'switched', detail: `${toolUses[0].name}: ${toolUses[0].summary}` };
+  }
+
+  const userText = getUserText(next);
+  if (userText) {
+    return { outcome: 'user', detail: clipLine(userText.replace(/\s+/g, ' ').trim(), 200) };
+  }
+
+  return { outcome: 'abandoned', detail: null };
+}
+
+function hasSuccessfulResult(entry) {
+  if (!entry || (entry.type !== 'user' && entry.type !== 'human')) return false;
+  const content = entry.message?.content;
+  return Array.isArray(content) && content.some(b => b.type === 'tool_result' && !b.is_error);
+}
+
+/**
+ * The text a user typed in an entry (not tool results or meta messages), or ''.
+ */
+function getUserText(entry) {
+  if (!entry || (entry.type !== 'user' && entry.type !== 'human') || entry.isMeta || entry.isCompactSummary) return '';
+  const content = entry.message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(b => b.type === 'text' && b.text).map(b => b.text).join('\n');
 }
 
 /**
@@ -166,7 +551,17 @@ function formatChainSummary(chain) {
 
   let summary = `[Retry chain: ${toolName} x${count} failed`;
 
-  // Check what follows the chain (peek at the context from the last attempt)
+  // How it ended: what finally worked is what's worth remembering
+  const { resolution } = chain;
+  if (resolution?.outcome === 'succeeded') {
+    summary += resolution.sameInput ? ' → succeeded on retry' : ' → succeeded with changed input';
+  } else if (resolution?.outcome === 'switched') {
+    summary += ' → switched tool';
+  } else if (resolution?.outcome === 'user') {
+    summary += ' → user intervened';
+  } else if (resolution?.outcome === 'abandoned') {
+    summary += ' → abandoned';
+  }
   summary += ']';
 
   if (allIdentical) {
@@ -184,15 +579,184 @@ function formatChainSummary(chain) {
     }
   }
 
+  if (resolution?.outcome === 'succeeded' && !resolution.sameInput) {
+    summary += `\n  Worked: ${resolution.detail}`;
+  } else if (resolution?.outcome === 'switched') {
+    summary += `\n  Instead: ${resolution.detail}`;
+  } else if (resolution?.outcome === 'user') {
+    summary += `\n  User: ${resolution.detail}`;
+  }
+
   return summary;
 }
 
+// ---- Tool runs ----
+
+/**
+ * Try to detect a run of successful calls to the same exploration tool
+ * (config.RUN_TOOLS) starting at index i: assistant entries holding only
+ * such calls, and user entries holding only their successful results, in any
+ * interleaving (parallel calls put several calls before their results).
+ *
+ * Returns { tool, calls, endIndex, open } or null if the entry at i doesn't
+ * start one. calls are { summary, result } for every call answered before
+ * endIndex; the caller decides whether there are enough to collapse. open is
+ * true if the entries ran out before the run ended.
+ */
+function tryDetectRun(entries, startIndex, ctx = {}) {
+  const first = getRunCalls(entries[startIndex], ctx);
+  if (!first) return null;
+
+  const tool = first[0].name;
+  const sidechain = Boolean(entries[startIndex].isSidechain);
+  const pending = new Map(); // tool_use id -> call awaiting its result
+  const calls = [];
+  let answered = 0;
+  let endIndex = startIndex;
+  let open = true;
+
+  for (let i = startIndex; i < entries.length; i++) {
+    const entry = entries[i];
+    if (Boolean(entry.isSidechain) !== sidechain) {
+      open = false;
+      break;
+    }
+
+    const uses = getRunCalls(entry, ctx);
+    if (uses) {
+      if (uses.some(u => u.name !== tool)) {
+        open = false;
+        break;
+      }
+      for (const use of uses) {
+        const call = { summary: use.summary, result: null };
+        calls.push(call);
+        pending.set(use.id, call);
+      }
+      continue;
+    }
+
+    const results = getSuccessfulResults(entry);
+    if (!results || !results.every(r => pending.has(r.id))) {
+      open = false;
+      break;
+    }
+    for (const r of results) {
+      pending.get(r.id).result = r.text;
+      pending.delete(r.id);
+    }
+    // The run can only end where every call so far has its result
+    if (pending.size === 0) {
+      endIndex = i + 1;
+      answered = calls.length;
+    }
+  }
+
+  return { tool, calls: calls.slice(0, answered), endIndex, open };
+}
+
+/**
+ * Format a collapsed tool run, e.g.
+ *   [Explored 14 files under src/api/ via Read, 2 re-read]
+ *     routes.js, db.js (x3), ...
+ *     routes.js: ...
+ *     db.js: <first result> → <last result>
+ *     +12 more
+ * Repeated calls with the same target are listed once with a count, and
+ * each target's first and last result are shown (once if they match), up to
+ * RUN_RESULT_SNIPPETS targets.
+ */
+function formatRunSummary(run) {
+  const counts = new Map();
+  const results = new Map();
+  for (const call of run.calls) {
+    counts.set(call.summary, (counts.get(call.summary) || 0) + 1);
+    const seen = results.get(call.summary);
+    results.set(call.summary, { first: seen ? seen.first : call.result, last: call.result });
+  }
+  const targets = [...counts.keys()];
+  const repeats = run.calls.length - targets.length;
+  const reading = run.tool.toLowerCase() === 'read';
+
+  // Name files relative to the directory they share
+  const dir = reading ? commonDirectory(targets) : '';
+  const shortName = (target) => (dir ? target.slice(dir.length) : target);
+  const label = (target) => (counts.get(target) > 1 ? `${shortName(target)} (x${counts.get(target)})` : shortName(target));
+
+  const heading = reading
+    ? `Explored ${targets.length} file${targets.length === 1 ? '' : 's'}${dir ? ` under ${dir}` : ''} via Read${repeats > 0 ? `, ${repeats} re-read` : ''}`
+    : `${run.calls.length} ${run.tool} calls${repeats > 0 ? `, ${repeats} repeated` : ''}`;
+
+  const lines = [`[${heading}]`];
+  lines.push(`  ${clipLine(targets.map(label).join(', '), config.RUN_TARGETS_CHARS)}`);
+  const snippet = (text) => clipLine((text || '').replace(/\s+/g, ' ').trim(), config.RUN_RESULT_SNIPPET_CHARS);
+  for (const target of targets.slice(0, config.RUN_RESULT_SNIPPETS)) {
+    const { first, last } = results.get(target);
+    const shown = snippet(first) === snippet(last) ? snippet(last) : `${snippet(first)} → ${snippet(last)}`;
+    lines.push(`  ${shortName(target)}: ${shown}`);
+  }
+  if (targets.length > config.RUN_RESULT_SNIPPETS) {
+    lines.push(`  +${targets.length - config.RUN_RESULT_SNIPPETS} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The directory (with trailing slash) that all paths share, or ''.
+ */
+function commonDirectory(paths) {
+  const dirs = paths.map(p => p.split('/').slice(0, -1));
+  const shared = [];
+  for (let i = 0; dirs.every(d => i < d.length && d[i] === dirs[0][i]); i++) {
+    shared.push(dirs[0][i]);
+  }
+  return shared.length > 0 ? `${shared.join('/')}/` : '';
+}
+
+/**
+ * The calls in an assistant entry that holds nothing but calls to one
+ * of config.RUN_TOOLS. Returns [{ id, name, summary }] or null.
+ */
+function getRunCalls(entry, ctx) {
+  if (!entry || entry.type !== 'assistant') return null;
+  const content = entry.message?.content;
+  if (!Array.isArray(content)) return null;
+
+  const blocks = content.filter(b => b.type !== 'thinking');
+  if (blocks.length === 0 || !blocks.every(b => b.type === 'tool_use' && b.id && config.RUN_TOOLS.includes((b.name || '').toLowerCase()))) {
+    return null;
+  }
+  return blocks.map(b => ({
+    id: b.id,
+    name: b.name,
+    summary: summarizeToolInput(b.name, b.input || {}, ctx.formatters),
+  }));
+}
+
+/**
+ * The results in a user entry that holds nothing but successful tool
+ * results. Returns [{ id, text }] or null.
+ */
+function getSuccessfulResults(entry) {
+  if (!entry || (entry.type !== 'user' && entry.type !== 'human')) return null;
+  const content = entry.message?.content;
+  if (!Array.isArray(content) || content.length === 0) return null;
+  if (!content.every(b => b.type === 'tool_result' && !b.is_error)) return null;
+
+  return content.map(b => ({
+    id: b.tool_use_id,
+    text: typeof b.content === 'string'
+      ? b.content
+      : (Array.isArray(b.content) ? b.content.filter(c => c.type === 'text').map(c => c.text).join('\n') : ''),
+  }));
+}
+
 // ---- Helpers for chain detection ----
 
 /**
  * Extract tool_use info from an assistant entry. Returns array or null.
  */
-function getToolUses(entry) {
+function getToolUses(entry, ctx = {}) {
   if (!entry || entry.type !== 'assistant') return null;
   const content = entry.message?.content;
   if (!Array.isArray(content)) return null;
@@ -202,7 +766,7 @@ function getToolUses(entry) {
     .map(b => ({
       name: b.name || 'unknown',
       input: b.input || {},
-      summary: summarizeToolInput(b.name || 'unknown', b.input || {}),
+      summary: summarizeToolInput(b.name || 'unknown', b.input || {}, ctx.formatters),
     }));
 
   return toolUses.length > 0 ? toolUses : null;
@@ -251,9 +815,10 @@ function isTextOnlyMessage(entry) {
  * Classify errors into a brief description for the chain summary.
  */
 function classifyError(errorTexts) {
+  const response = userResponse(errorTexts);
+  if (response) return `user ${response.kind}`;
   const combined = errorTexts.join(' ').toLowerCase();
   if (/permission/.test(combined)) return 'permission denied';
-  if (/doesn.t want to proceed/.test(combined)) return 'user rejected';
   if (/timeout/.test(combined)) return 'timeout';
   // Extract first meaningful line from the error
   const firstError = errorTexts[0] || '';
@@ -261,30 +826,147 @@ function classifyError(errorTexts) {
   return truncateText(firstLine, 120);
 }
 
+// ---- User signals ----
+
+// Written by Claude Code in place of a message when the user presses Esc
+const INTERRUPT_MARKER = /^\[Request interrupted by user( for tool use)?\]/;
+// Tool results for a call the user declined at the permission prompt, or
+// stopped while it was waiting; a rejection may carry what to do instead
+const REJECTED_CALL = /doesn.t want to proceed with this tool use/i;
+const INTERRUPTED_CALL = /doesn.t want to take this action right now/i;
+const REJECTION_FEEDBACK = /the user said:\s*([\s\S]+)$/i;
+// How a message that pushes back on what the assistant just did starts
+const CORRECTION = /^(no\b|nope\b|wrong\b|undo\b|revert\b|instead of\b|don'?t\b|do not\b|that'?s (not|wrong)\b|that (isn'?t|is not|wasn'?t|was not)\b|not (that|what|like)\b|why did you\b|you (shouldn'?t|should not|didn'?t|did not|forgot|broke|missed)\b|please (don'?t|do not|stop|revert|undo)\b)/i;
+
+// Openers that start follow-up requests as often ("Actually, also add
+// tests") and only count with a negation or rejection after them
+const SOFT_CORRECTION = /^(actually|wait|instead|never|stop)\b/i;
+const PUSHBACK = /\b(no|not|nope|don'?t|doesn'?t|didn'?t|isn'?t|wasn'?t|shouldn'?t|wrong|undo|revert|mind|instead of|rather than)\b/i;
+
+function isCorrection(text) {
+  if (CORRECTION.test(text)) return true;
+  const opener = text.match(SOFT_CORRECTION);
+  return opener !== null && PUSHBACK.test(text.slice(opener[0].length));
+}
+
+/**
+ * Whether error tool results say the user rejected or interrupted the call.
+ * Returns { kind: 'rejected' | 'interrupted', feedback } or null; feedback is
+ * what the user said with a rejection, or null.
+ */
+function userResponse(errorTexts) {
+  for (const text of errorTexts) {
+    if (REJECTED_CALL.test(text)) {
+      const feedback = text.match(REJECTION_FEEDBACK)?.[1].trim();
+      return { kind: 'rejected', feedback: feedback ? clipLine(feedback.replace(/\s+/g, ' '), 300) : null };
+    }
+    if (INTERRUPTED_CALL.test(text)) return { kind: 'interrupted', feedback: null };
+  }
+  return null;
+}
+
+/**
+ * Classify what a user entry says about the assistant's last action, given
+ * who acted before it (ctx.turn: 'assistant', 'stopped' after a rejection or
+ * interrupt, 'user', or null). Returns { interrupted, rejected, correction,
+ * marker } where marker is true for an interrupt marker message.
+ *
+ * A typed message is a correction if it follows a rejection or interrupt, or
+ * follows the assistant and starts like one ("no", "don't", "actually"...).
+ * An interrupt marker right after a rejected or interrupted call repeats it
+ * and isn't counted again.
+ */
+function userSignals(entry, turn) {
+  const signals = { interrupted: false, rejected: false, correction: false, marker: false };
+  if (!entry || (entry.type !== 'user' && entry.type !== 'human') || entry.isSidechain) return signals;
+
+  const content = entry.message?.content;
+  if (Array.isArray(content)) {
+    const errors = content.filter(b => b.type === 'tool_result' && b.is_error).map(toolResultText);
+    const response = userResponse(errors);
+    if (response?.kind === 'rejected') signals.rejected = true;
+    if (response?.kind === 'interrupted') signals.interrupted = true;
+  }
+
+  const text = getUserText(entry).trim();
+  if (INTERRUPT_MARKER.test(text)) {
+    signals.marker = true;
+    signals.interrupted ||= turn !== 'stopped';
+  } else if (text && (turn === 'stopped' || (turn === 'assistant' && isCorrection(text)))) {
+    signals.correction = true;
+  }
+  return signals;
+}
+
+/**
+ * Count an entry's user signals into ctx.metadata and advance ctx.turn.
+ */
+function noteUserSignals(ctx, entry) {
+  if (entry.isSidechain || entry.isMeta) return;
+  const signals = userSignals(entry, ctx.turn);
+  if (signals.correction) ctx.metadata.corrections++;
+  if (signals.interrupted) ctx.metadata.interruptions++;
+  if (signals.rejected) ctx.metadata.rejections++;
+
+  if (entry.type === 'assistant') {
+    ctx.turn = 'assistant';
+  } else if (signals.rejected || signals.interrupted || signals.marker) {
+    ctx.turn = 'stopped';
+  } else if (getUserText(entry)) {
+    ctx.turn = 'user';
+  }
+}
+
+function toolResultText(block) {
+  if (typeof block.content === 'string') return block.content;
+  if (Array.isArray(block.content)) return block.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+  return '';
+}
+
 // ---- Original formatting (unchanged for non-chain entries) ----
 
 /**
  * Format a top-level JSONL entry into human-readable lines.
  * Returns an array of formatted strings.
  */
-function formatEntry(obj) {
+function formatEntry(obj, ctx = {}) {
   const type = obj.type;
   const results = [];
 
+  if (type === 'system' && obj.subtype === 'compact_boundary') {
+    results.push('[Conversation compacted]');
+  }
+
+  if ((type === 'user' || type === 'human') && obj.isCompactSummary) {
+    // Recap of the conversation before a compaction, already observed earlier
+    const msg = obj.message || obj;
+    const text = typeof msg.content === 'string'
+      ? msg.content
+      : (Array.isArray(msg.content) ? msg.content.filter(b => b.type === 'text').map(b => b.text).join('\n') : '');
+    results.push(`[Compaction summary]: ${truncateText(text, config.MAX_CONTEXT_SUMMARY_CHARS)}`);
+    return results;
+  }
+
   if (type === 'user' || type === 'human') {
     const msg = obj.message || obj;
     const content = msg.content;
+    const signals = userSignals(obj, ctx.turn);
+    const pushUserText = (text) => {
+      if (obj.isMeta) return;
+      if (signals.marker) {
+        // A marker repeating a rejected call's interrupt adds nothing
+        if (signals.interrupted) results.push('[User interrupted]');
+      } else {
+        results.push(`${signals.correction ? '[User correction]' : '[User]'}: ${text}`);
+      }
+    };
 
     if (typeof content === 'string') {
-      if (!obj.isMeta) {
-        results.push(`[User]: ${content}`);
-      }
+      pushUserText(content);
     } else if (Array.isArray(content)) {
       for (const block of content) {
         if (block.type === 'text' && block.text) {
-          if (!obj.isMeta) {
-            results.push(`[User]: ${block.text}`);
-          }
+          pushUserText(block.text);
         } else if (block.type === 'tool_result') {
           // Errors are handled by chain detection — skip here
           if (block.is_error) continue;
@@ -293,8 +975,15 @@ function formatEntry(obj) {
             : (Array.isArray(block.content)
               ? block.content.filter(b => b.type === 'text').map(b => b.text).join('\n')
               : '');
-          if (resultContent) {
-            results.push(`[Tool Result]: ${truncateText(resultContent, config.MAX_TOOL_RESULT_CHARS)}`);
+          const call = ctx.toolUses?.get(block.tool_use_id);
+          const formatter = findFormatter(ctx.formatters, call?.name);
+          if (isSubagentTool(call?.name) || obj.toolUseResult?.agentId) {
+            results.push(...formatSubagentResult(obj, resultContent, call, ctx));
+          } else {
+            const text = callFormatter(formatter, 'result', [resultContent, call?.input || {}], resultContent);
+            if (text) {
+              results.push(`[Tool Result]: ${truncateText(text, formatter?.maxResultChars ?? config.MAX_TOOL_RESULT_CHARS)}`);
+            }
           }
         }
       }
@@ -314,7 +1003,7 @@ function formatEntry(obj) {
         } else if (block.type === 'tool_use') {
           const name = block.name || 'unknown';
           const input = block.input || {};
-          const summary = summarizeToolInput(name, input);
+          const summary = summarizeToolInput(name, input, ctx.formatters);
           results.push(`[Tool: ${name}] ${summary}`);
         }
       }
@@ -324,9 +1013,20 @@ function formatEntry(obj) {
   return results;
 }
 
-function summarizeToolInput(toolName, input) {
-  const name = toolName.toLowerCase();
+function summarizeToolInput(toolName, input, formatters = null) {
+  // User plugins come first (see formatters.js)
+  const formatter = findFormatter(formatters, toolName);
+  const custom = callFormatter(formatter, 'summarize', [input], null);
+  if (custom !== null) {
+    return clipLine(custom, formatter.maxSummaryChars ?? 200);
+  }
 
+  const summary = builtInSummary(toolName, input);
+  return formatter?.maxSummaryChars !== undefined ? clipLine(summary, formatter.maxSummaryChars) : summary;
+}
+
+function builtInSummary(toolName, input) {
+  const name = toolName.toLowerCase();
   if (name === 'read' || name === 'readfile') {
     return input.file_path || input.path || JSON.stringify(input);
   }
@@ -334,7 +1034,19 @@ function summarizeToolInput(toolName, input) {
     return `${input.file_path || input.path || '?'} (write)`;
   }
   if (name === 'edit') {
-    return `${input.file_path || input.path || '?'} (edit)`;
+    return summarizeEdit(input);
+  }
+  if (name === 'multiedit') {
+    return summarizeMultiEdit(input);
+  }
+  if (name === 'notebookedit') {
+    return summarizeNotebookEdit(input);
+  }
+  if (name === 'todowrite') {
+    return summarizeTodos(input);
+  }
+  if (name.startsWith('mcp__')) {
+    return summarizeMcpCall(toolName, input);
   }
   if (name === 'bash') {
     const cmd = input.command || '';
@@ -346,7 +1058,7 @@ function summarizeToolInput(toolName, input) {
   if (name === 'grep') {
     return `pattern: ${input.pattern || '?'}`;
   }
-  if (name === 'task') {
+  if (isSubagentTool(name)) {
     return `${input.description || input.prompt?.slice(0, 100) || ''}`;
   }
   if (name === 'webfetch') {
@@ -363,6 +1075,263 @@ function summarizeToolInput(toolName, input) {
   return truncateText(JSON.stringify(input), 200);
 }
 
+// ---- Tool summaries ----
+
+/**
+ * `path (edit): "old" → "new"`, showing only the lines that changed.
+ */
+function summarizeEdit(input) {
+  const file = input.file_path || input.path || '?';
+  const mode = input.replace_all ? 'edit, all occurrences' : 'edit';
+  const change = describeChange(input.old_string, input.new_string);
+  return change ? `${file} (${mode}): ${change}` : `${file} (${mode})`;
+}
+
+/**
+ * `path (3 edits): "a" → "b"; "c" → "d"; +1 more`.
+ */
+function summarizeMultiEdit(input) {
+  const file = input.file_path || input.path || '?';
+  const edits = Array.isArray(input.edits) ? input.edits : [];
+  const shown = edits
+    .slice(0, config.MAX_SUMMARIZED_EDITS)
+    .map(e => describeChange(e.old_string, e.new_string))
+    .filter(Boolean);
+  if (edits.length > config.MAX_SUMMARIZED_EDITS) {
+    shown.push(`+${edits.length - config.MAX_SUMMARIZED_EDITS} more`);
+  }
+  return `${file} (${edits.length} edit${edits.length === 1 ? '' : 's'})${shown.length > 0 ? `: ${shown.join('; ')}` : ''}`;
+}
+
+/**
+ * Describe an old → new replacement by the lines that differ, leaving out
+ * the unchanged lines around them. Returns '' if there is nothing to show.
+ */
+function describeChange(oldString, newString) {
+  if (typeof oldString !== 'string' || typeof newString !== 'string') return '';
+  const a = oldString.split('\n');
+  const b = newString.split('\n');
+
+  let start = 0;
+  while (start < a.length - 1 && start < b.length - 1 && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA - 1 > start && endB - 1 > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const before = codeSnippet(a.slice(start, endA).join('\n'));
+  const after = codeSnippet(b.slice(start, endB).join('\n'));
+  if (!before && !after) return '';
+  if (!before) return `inserted "${after}"`;
+  if (!after) return `removed "${before}"`;
+  return `"${before}" → "${after}"`;
+}
+
+/**
+ * `analysis.ipynb cell 3 (insert code): "import pandas as pd ⏎ ..."`.
+ */
+function summarizeNotebookEdit(input) {
+  const file = input.notebook_path || input.path || '?';
+  const cell = input.cell_id ?? input.cell_number;
+  const mode = [input.edit_mode || 'replace', input.cell_type].filter(Boolean).join(' ');
+  const source = input.edit_mode === 'delete' ? '' : codeSnippet(input.new_source || '');
+  return `${file}${cell !== undefined ? ` cell ${cell}` : ''} (${mode})${source ? `: "${source}"` : ''}`;
+}
+
+const TODO_MARKERS = { completed: '[x]', in_progress: '[~]', pending: '[ ]' };
+
+/**
+ * `todos 1/3 done: [x] Write parser; [~] Add tests; [ ] Update docs`.
+ */
+function summarizeTodos(input) {
+  const todos = Array.isArray(input.todos) ? input.todos : [];
+  if (todos.length === 0) return 'todos cleared';
+  const done = todos.filter(t => t.status === 'completed').length;
+  const items = todos.map(t => `${TODO_MARKERS[t.status] || '[ ]'} ${clipLine(t.content || '', 80)}`);
+  return clipLine(`todos ${done}/${todos.length} done: ${items.join('; ')}`, config.MAX_TODO_SUMMARY_CHARS);
+}
+
+/**
+ * MCP tools are named mcp__<server>__<tool>. Shown as
+ * `<server>/<tool> query="...", limit=10, ids=[3 items]`.
+ */
+function summarizeMcpCall(toolName, input) {
+  const [, server = '?', ...rest] = toolName.split('__');
+  const keys = Object.keys(input);
+  const args = keys
+    .slice(0, config.MAX_SUMMARIZED_MCP_ARGS)
+    .map(key => `${key}=${describeValue(input[key])}`);
+  if (keys.length > args.length) {
+    args.push(`+${keys.length - args.length} more`);
+  }
+  return clipLine(`${server}/${rest.join('__') || '?'}${args.length > 0 ? ` ${args.join(', ')}` : ''}`, 200);
+}
+
+function describeValue(value) {
+  if (typeof value === 'string') return `"${clipLine(value.replace(/\s+/g, ' '), 60)}"`;
+  if (Array.isArray(value)) return `[${value.length} item${value.length === 1 ? '' : 's'}]`;
+  if (value && typeof value === 'object') return '{…}';
+  return String(value);
+}
+
+/**
+ * Collapse a code fragment onto one line: trimmed lines joined with ⏎.
+ */
+function codeSnippet(text) {
+  const joined = text.split('\n').map(l => l.trim()).filter(Boolean).join(' ⏎ ');
+  return clipLine(joined, config.MAX_EDIT_SNIPPET_CHARS);
+}
+
+function clipLine(text, maxChars) {
+  return text.length <= maxChars ? text : `${text.slice(0, maxChars - 1)}…`;
+}
+
+// ---- Subagents ----
+
+/**
+ * The tool that launches a subagent ('Task', renamed 'Agent' in newer versions).
+ */
+function isSubagentTool(name) {
+  return ['task', 'agent'].includes(name?.toLowerCase());
+}
+
+/**
+ * Map an entry's tool_use ids to their { name, input } so tool results can be
+ * matched to the call that produced them. Only subagent calls and calls with
+ * a plugin result formatter keep their input; the map lives for the whole parse.
+ */
+function recordToolUses(ctx, entry) {
+  if (entry.type !== 'assistant' || !Array.isArray(entry.message?.content)) return;
+  for (const block of entry.message.content) {
+    if (block.type === 'tool_use' && block.id) {
+      const keepInput = isSubagentTool(block.name) || findFormatter(ctx.formatters, block.name)?.result;
+      ctx.toolUses.set(block.id, { name: block.name, input: keepInput ? block.input || {} : {} });
+    }
+  }
+}
+
+/**
+ * Format a subagent's tool result: its transcript (when found) as a nested
+ * section, then the report it returned.
+ */
+function formatSubagentResult(entry, resultContent, call, ctx) {
+  const label = call?.input?.description || call?.input?.subagent_type || 'subagent';
+  const lines = [];
+
+  const transcriptPath = ctx.nested || !ctx.filePath
+    ? null
+    : findSubagentTranscript(ctx, entry.toolUseResult?.agentId, call?.input?.prompt || entry.toolUseResult?.prompt);
+  if (transcriptPath) {
+    try {
+      const { size } = fs.statSync(transcriptPath);
+      const items = readEntries(transcriptPath, 0, size, ctx.rules);
+      let formatted;
+      try {
+        // Only the head of a long transcript is formatted
+        formatted = formatStream(items, {
+          ...ctx,
+          filePath: transcriptPath,
+          toolUses: new Map(),
+          nested: true,
+        }, 0, config.MAX_SUBAGENT_TRANSCRIPT_CHARS);
+      } finally {
+        items.return();
+      }
+      const text = formatted.segments.map(s => s.text).join('\n');
+      if (text) {
+        lines.push(`[Subagent transcript: ${label}]`);
+        lines.push(indentLines(truncateText(text, config.MAX_SUBAGENT_TRANSCRIPT_CHARS)));
+        if (!formatted.complete) lines.push('  | ... [rest of the transcript omitted]');
+        lines.push('[End subagent transcript]');
+      }
+    } catch {
+      // Unreadable transcript: the result below is still useful
+    }
+  }
+
+  if (resultContent) {
+    lines.push(`[Subagent result: ${label}]: ${truncateText(resultContent, config.MAX_SUBAGENT_RESULT_CHARS)}`);
+  }
+  return lines;
+}
+
+/**
+ * Find the transcript file a subagent wrote next to its parent session.
+ * Claude Code writes them as <sessionId>/subagents/agent-<agentId>.jsonl or,
+ * in older versions, agent-<agentId>.jsonl beside the session file. Matches
+ * on agentId when the tool result carries one, otherwise on the prompt the
+ * subagent was started with. Each transcript is used at most once per parse.
+ */
+function findSubagentTranscript(ctx, agentId, prompt) {
+  const dir = path.dirname(ctx.filePath);
+  const sessionId = path.basename(ctx.filePath, '.jsonl');
+  const dirs = [path.join(dir, sessionId, 'subagents'), dir];
+  ctx.usedSubagents ??= new Set();
+
+  if (agentId) {
+    for (const d of dirs) {
+      const candidate = path.join(d, `agent-${agentId}.jsonl`);
+      if (!ctx.usedSubagents.has(candidate) && fs.existsSync(candidate)) {
+        ctx.usedSubagents.add(candidate);
+        return candidate;
+      }
+    }
+  }
+
+  if (!prompt) return null;
+  ctx.subagentIndex ??= indexSubagentTranscripts(dirs, sessionId);
+  const match = ctx.subagentIndex.find(t => t.prompt === prompt.trim() && !ctx.usedSubagents.has(t.file));
+  if (!match) return null;
+  ctx.usedSubagents.add(match.file);
+  return match.file;
+}
+
+/**
+ * List the subagent transcripts of a session with the prompt each started with.
+ */
+function indexSubagentTranscripts(dirs, sessionId) {
+  const index = [];
+  dirs.forEach((d, idx) => {
+    let files;
+    try {
+      files = fs.readdirSync(d).filter(f => f.endsWith('.jsonl') && (idx === 0 || f.startsWith('agent-')));
+    } catch {
+      return;
+    }
+    for (const f of files) {
+      const first = readFirstEntry(path.join(d, f));
+      // Files beside the session belong to any session in the project
+      if (!first || (idx > 0 && first.sessionId !== sessionId)) continue;
+      const content = first.message?.content;
+      const prompt = typeof content === 'string'
+        ? content
+        : (Array.isArray(content) ? content.filter(b => b.type === 'text').map(b => b.text).join('\n') : '');
+      index.push({ file: path.join(d, f), prompt: prompt.trim() });
+    }
+  });
+  return index;
+}
+
+function readFirstEntry(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buf = Buffer.alloc(64 * 1024);
+    const bytes = fs.readSync(fd, buf, 0, buf.length, 0);
+    return JSON.parse(buf.toString('utf-8', 0, bytes).split('\n')[0]);
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function indentLines(text) {
+  return text.split('\n').map(line => `  | ${line}`).join('\n');
+}
+
 function truncateText(text, maxChars) {
   if (text.length <= maxChars) return text;
   const headLen = Math.floor(maxChars * 0.6);
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import { parseConversationDelta, formatSessionHeader } from './parser.js';
+import { runObserverChunked, appendObservations, flushQueuedAppends, exceedsThreshold } from './observer.js';
+import { runReflector, consolidationGroups } from './reflector.js';
+import { autoCommitObservations } from './git.js';
+import { backendFor } from './backends.js';
+import { updateState } from './state.js';
+import { settleRetry, currentRetry } from './retry.js';
+import { isCancelled } from './scheduler.js';
+import { previousContext } from './sessions.js';
+import { compileRules, redact } from './redact.js';
+import { loadFormatters } from './formatters.js';
+import { loadRecords, listTopics } from './records.js';
+
+/**
+ * Observe one byte range of a conversation file and append the results to the
+ * project's observations. Shared by the watcher, the retry queue and the CLI.
+ *
+ * A range too large for one parse (see parseConversationDelta) is observed up
+ * to newOffset and `complete` is false; the caller continues from there.
+ *
+ * Returns { newOffset, complete, observed, appended }. Throws if the Observer
+ * pass fails, so the caller can queue the range for retry instead of losing it.
+ */
+export async function observeRange(project, filePath, fromOffset, toOffset = null, signal = null) {
+  const fileName = path.basename(filePath);
+  const formatters = await loadFormatters(project);
+  const { text, segments, metadata, newOffset, complete } = parseConversationDelta(filePath, fromOffset, toOffset, { redactRules: project.redactRules, formatters });
+
+  if (!text || text.trim().length < 100) {
+    // Too little content to be meaningful
+    return { newOffset, complete, observed: false, appended: false };
+  }
+
+  // Where this delta sits: the session it continues, earlier compaction summary
+  const context = redact(previousContext(filePath, fromOffset), compileRules(project.redactRules));
+
+  // Run Observer (one pass per chunk for long deltas)
+  const observations = await runObserverChunked(segments, backendFor(project, 'observer'), {
+    signal,
+    file: fileName,
+    header: formatSessionHeader(metadata, project.path),
+    context,
+    // Reusing topic names keeps related observations in one topic file
+    topics: listTopics(loadRecords(project.path)),
+    branch: metadata.branch,
+  });
+
+  if (!observations) {
+    console.log(`[Observer] No observations for ${fileName}`);
+    return { newOffset, complete, observed: false, appended: false };
+  }
+
+  // Extract session ID from filename (first part before any dash)
+  const sessionId = fileName.replace('.jsonl', '').slice(0, 8);
+
+  const appended = await appendObservations(project.path, observations, sessionId, { redactRules: project.redactRules });
+  if (appended) {
+    console.log(`[Observer] Appended observations for ${fileName}`);
+    autoCommitObservations(project.path);
+  }
+
+  return { newOffset, complete, observed: true, appended };
+}
+
+/**
+ * Run the Reflector if the project's observations exceed its threshold and
+ * something is large enough to consolidate (in the topic layout, a topic of
+ * at least REFLECTOR_MIN_TOPIC_TOKENS). Records the pass in state and
+ * auto-commits. Returns true if it consolidated.
+ */
+export async function reflectIfNeeded(project, signal = null) {
+  const threshold = project.reflectorThreshold;
+  if (!exceedsThreshold(project.path, threshold)) {
+    return false;
+  }
+  if (consolidationGroups(project.path, loadRecords(project.path)).every(g => g.skip)) {
+    return false;
+  }
+
+  console.log(`[Reflector] Threshold exceeded, consolidating...`);
+  const reflected = await runReflector(project.path, backendFor(project, 'reflector'), { signal, redactRules: project.redactRules });
+  if (reflected) {
+    updateState(project.path, state => {
+      state.totalReflectorPasses++;
+      state.lastReflection = new Date().toISOString();
+    });
+    autoCommitObservations(project.path);
+  }
+  return reflected;
+}
+
+/**
+ * Add the observations queued while OBSERVATIONS.md was locked (see
+ * appendObservations) and auto-commit them. Returns true if any were added.
+ */
+export async function flushObservations(project) {
+  const appended = await flushQueuedAppends(project.path);
+  if (appended) {
+    console.log(`[Observer] Appended queued observations for ${project.path}`);
+    autoCommitObservations(project.path);
+  }
+  return appended;
+}
+
+/**
+ * Re-run the Observer on a queued range and settle its retry entry. Skipped
+ * if the entry was settled or attempted since it was read.
+ */
+export async function runRetry(project, entry, signal = null) {
+  // The retry poll can queue a range again while its last job still runs
+  if (!currentRetry(project.path, entry)) {
+    console.log(`[Retry] ${entry.file} (${entry.fromOffset}–${entry.toOffset}) was already retried, skipping`);
+    return false;
+  }
+
+  const filePath = path.join(config.CLAUDE_PROJECTS_DIR, project.claudeProjectDir, entry.file);
+  if (!fs.existsSync(filePath)) {
+    console.warn(`[Retry] ${entry.file} no longer exists, dropping`);
+    settleRetry(project.path, entry);
+    return false;
+  }
+
+  console.log(`[Retry] ${entry.file} (${entry.fromOffset}–${entry.toOffset}), attempt ${entry.attempts + 1}`);
+
+  // A range larger than one parse is observed part by part; if a later part
+  // fails the whole range is retried, and the parts already observed dedupe
+  const results = [];
+  let from = entry.fromOffset;
+  try {
+    while (true) {
+      const result = await observeRange(project, filePath, from, entry.toOffset, signal);
+      results.push(result);
+      if (result.complete || result.newOffset <= from) break;
+      from = result.newOffset;
+    }
+  } catch (err) {
+    if (isCancelled(err)) throw err;
+    console.error(`[Retry] ${entry.file} failed again:`, err.message);
+    settleRetry(project.path, entry, err);
+    return false;
+  }
+
+  settleRetry(project.path, entry);
+
+  const appended = results.some(r => r.appended);
+  updateState(project.path, state => {
+    state.totalObserverPasses += results.filter(r => r.appended).length;
+    if (state.files[entry.file]) {
+      state.files[entry.file].observationCount += results.filter(r => r.observed).length;
+    }
+  });
+
+  if (appended) {
+    await reflectIfNeeded(project, signal);
+  }
+  return true;
+}
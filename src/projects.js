@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import { readJson, updateJson } from './storage.js';
+import { upgrade, show, isCount, isPlainObject, toCount } from './schema.js';
+import { BACKEND_TYPES } from './backends.js';
+import { compileRules } from './redact.js';
+
+/**
+ * The registered projects, ~/.claude-memory/projects.json:
+ *
+ *   { version: 1, projects: [{ path, claudeProjectDir, reflectorThreshold,
+ *     skipCatchup, registeredAt, maxInjectedTokens?, observerBackend?,
+ *     reflectorBackend?, redactRules?, projectFormatters? }] }
+ *
+ * The optional fields are per-project overrides; without them the defaults
+ * in config.js apply. See schema.js for versions and migrations.
+ */
+
+const MIGRATIONS = [
+  // 0 → 1: fill in the fields older versions read with `||` fallbacks
+  data => {
+    if (data.projects === undefined) data.projects = [];
+    if (!Array.isArray(data.projects)) return;
+    for (const project of data.projects) {
+      if (!isPlainObject(project)) continue;
+      if (typeof project.path === 'string') project.claudeProjectDir ||= claudeProjectDirFor(project.path);
+      project.reflectorThreshold = toCount(project.reflectorThreshold, config.DEFAULT_REFLECTOR_THRESHOLD);
+      project.skipCatchup = !!project.skipCatchup;
+      project.registeredAt ??= null;
+      if (!project.maxInjectedTokens) delete project.maxInjectedTokens;
+      else project.maxInjectedTokens = toCount(project.maxInjectedTokens);
+      for (const key of ['observerBackend', 'reflectorBackend', 'redactRules']) {
+        if (!project[key]) delete project[key];
+      }
+    }
+  },
+];
+
+export const PROJECTS_SCHEMA_VERSION = MIGRATIONS.length;
+
+function validateProjects(data) {
+  if (!Array.isArray(data.projects)) return [`"projects" must be an array, got ${show(data.projects)}`];
+
+  const problems = [];
+  const seen = new Set();
+  data.projects.forEach((project, i) => {
+    const at = `projects[${i}]`;
+    if (!isPlainObject(project)) {
+      problems.push(`${at} must be an object, got ${show(project)}`);
+      return;
+    }
+    if (typeof project.path !== 'string' || !path.isAbsolute(project.path)) {
+      problems.push(`${at}.path must be an absolute path, got ${show(project.path)}`);
+    } else if (seen.has(project.path)) {
+      problems.push(`${at}.path ${project.path} is registered twice`);
+    }
+    seen.add(project.path);
+    if (typeof project.claudeProjectDir !== 'string' || !project.claudeProjectDir) {
+      problems.push(`${at}.claudeProjectDir must be a directory name, got ${show(project.claudeProjectDir)}`);
+    }
+    if (!isCount(project.reflectorThreshold, 1000)) {
+      problems.push(`${at}.reflectorThreshold must be a whole number >= 1000, got ${show(project.reflectorThreshold)}`);
+    }
+    if (typeof project.skipCatchup !== 'boolean') {
+      problems.push(`${at}.skipCatchup must be true or false, got ${show(project.skipCatchup)}`);
+    }
+    if (project.registeredAt !== null && (typeof project.registeredAt !== 'string' || isNaN(Date.parse(project.registeredAt)))) {
+      problems.push(`${at}.registeredAt must be a timestamp, got ${show(project.registeredAt)}`);
+    }
+    if (project.maxInjectedTokens !== undefined && !isCount(project.maxInjectedTokens, 500)) {
+      problems.push(`${at}.maxInjectedTokens must be a whole number >= 500, got ${show(project.maxInjectedTokens)}`);
+    }
+    for (const key of ['observerBackend', 'reflectorBackend']) {
+      if (project[key] !== undefined && !(isPlainObject(project[key]) && BACKEND_TYPES.includes(project[key].type))) {
+        problems.push(`${at}.${key} must be a backend spec with a type of ${BACKEND_TYPES.join(', ')}, got ${show(project[key])}`);
+      }
+    }
+    if (project.projectFormatters !== undefined && typeof project.projectFormatters !== 'boolean') {
+      problems.push(`${at}.projectFormatters must be true or false, got ${show(project.projectFormatters)}`);
+    }
+    if (project.redactRules !== undefined) {
+      try {
+        if (!Array.isArray(project.redactRules)) throw new Error(`must be an array, got ${show(project.redactRules)}`);
+        compileRules(project.redactRules);
+      } catch (err) {
+        problems.push(`${at}.redactRules: ${err.message}`);
+      }
+    }
+  });
+  return problems;
+}
+
+function upgradeProjects(data) {
+  return upgrade(data, { file: config.PROJECTS_FILE, migrations: MIGRATIONS, validate: validateProjects });
+}
+
+function emptyProjects() {
+  return { version: PROJECTS_SCHEMA_VERSION, projects: [] };
+}
+
+/**
+ * Read projects.json, upgraded to the current schema. Throws if it is
+ * corrupted beyond recovery, from a newer version, or invalid.
+ */
+export function readProjects() {
+  const data = readJson(config.PROJECTS_FILE) ?? emptyProjects();
+  upgradeProjects(data);
+  return data;
+}
+
+/**
+ * Change projects.json in place under its lock (see updateJson). `mutate`
+ * gets the file upgraded to the current schema; return false to skip the
+ * write. Returns what `mutate` returned.
+ */
+export function updateProjects(mutate) {
+  return updateJson(config.PROJECTS_FILE, emptyProjects(), data => {
+    upgradeProjects(data);
+    return mutate(data);
+  });
+}
+
+/**
+ * Write projects.json back in the current schema if it is older. Returns
+ * the version it had, or null if there was nothing to migrate.
+ */
+export function migrateProjectsFile() {
+  if (!fs.existsSync(config.PROJECTS_FILE)) return null;
+  const from = updateJson(config.PROJECTS_FILE, emptyProjects(), data => {
+    const version = upgradeProjects(data);
+    return version < PROJECTS_SCHEMA_VERSION ? version : false;
+  });
+  return from === false ? null : from;
+}
+
+/**
+ * The directory Claude Code keeps a project's conversations in, under
+ * ~/.claude/projects: its path with slashes replaced by dashes.
+ */
+export function claudeProjectDirFor(projectPath) {
+  return projectPath.replace(/\//g, '-').replace(/^-/, '-');
+}
@@ -0,0 +1,578 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import { stateDir } from './state.js';
+import { estimateTokens } from './tokens.js';
+import { replayLedger, diffRecords, appendLedger } from './ledger.js';
+
+/**
+ * Structured observation records.
+ *
+ * The Observer and Reflector emit JSON records; the daemon validates them,
+ * keeps them in state/<hash>/observations.json and renders the project's
+ * memory from them (see Memory layouts below). A record:
+ *
+ *   {
+ *     id: 'a1b2c3d4',                 // assigned by the daemon
+ *     category: 'dead-end',           // one of CATEGORIES
+ *     topic: 'auth',                  // area of the project, a lowercase slug
+ *     statement: 'Tried X, ...',      // the observation itself, 1-2 sentences
+ *     files: ['src/api/auth.js'],     // referenced paths, may be empty
+ *     confidence: 'high',             // one of CONFIDENCE_LEVELS
+ *     sessionId: 'abcdef12',          // session the observation came from
+ *     createdAt: '2026-01-01T00:00:00.000Z',
+ *     provenance: [                   // conversation excerpts it was derived from
+ *       { file: 'abcdef12-....jsonl', fromOffset: 0, toOffset: 5120,
+ *         uuids: ['...'], timestamp: '2026-01-01T00:00:00.000Z', branch: 'main' },
+ *     ],
+ *   }
+ *
+ * Provenance is filled in by the daemon, never by the model. It survives
+ * deduplication and Reflector consolidation by merging the provenance of
+ * every record folded into another.
+ */
+
+// Render order for OBSERVATIONS.md sections
+export const CATEGORIES = {
+  'dead-end': 'Dead Ends',
+  decision: 'Decisions',
+  location: 'Locations',
+  environment: 'Environment',
+  gotcha: 'Gotchas',
+  preference: 'Preferences',
+  note: 'Notes', // imported or unstructured observations
+};
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const RECORD_FIELDS = ['id', 'category', 'topic', 'statement', 'files', 'confidence', 'sessionId', 'createdAt', 'provenance'];
+
+/**
+ * Validate a record as emitted by the Observer or Reflector (before the daemon
+ * fills in id, sessionId and createdAt). Returns an array of error strings.
+ */
+export function validateRecord(record) {
+  const errors = [];
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record must be an object'];
+  }
+  if (!Object.hasOwn(CATEGORIES, record.category)) {
+    errors.push(`category must be one of ${Object.keys(CATEGORIES).join(', ')} (got ${JSON.stringify(record.category)})`);
+  }
+  if (typeof record.statement !== 'string' || !record.statement.trim()) {
+    errors.push('statement must be a non-empty string');
+  }
+  if (record.topic != null && typeof record.topic !== 'string') {
+    errors.push('topic must be a string');
+  }
+  if (record.files !== undefined && (!Array.isArray(record.files) || record.files.some(f => typeof f !== 'string'))) {
+    errors.push('files must be an array of strings');
+  }
+  if (record.confidence !== undefined && !CONFIDENCE_LEVELS.includes(record.confidence)) {
+    errors.push(`confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+  if (record.sessionId !== undefined && typeof record.sessionId !== 'string') {
+    errors.push('sessionId must be a string');
+  }
+  return errors;
+}
+
+/**
+ * Build a complete record from validated model output, keeping only schema fields.
+ */
+export function normalizeRecord(raw, defaults = {}) {
+  const record = {
+    id: raw.id || newRecordId(),
+    category: raw.category,
+    topic: topicSlug(raw.topic) || defaults.topic || config.DEFAULT_TOPIC,
+    statement: raw.statement.trim().replace(/\s+/g, ' '),
+    files: [...new Set((raw.files || []).map(f => f.trim()).filter(Boolean))],
+    confidence: raw.confidence || 'medium',
+    sessionId: raw.sessionId || defaults.sessionId || 'unknown',
+    createdAt: raw.createdAt || defaults.createdAt || new Date().toISOString(),
+    provenance: raw.provenance || [],
+  };
+  return Object.fromEntries(RECORD_FIELDS.map(k => [k, record[k]]));
+}
+
+/**
+ * Turn a topic name into the slug used for its file name, or null if
+ * nothing is left. "Auth & Sessions" → "auth-sessions".
+ */
+export function topicSlug(topic) {
+  if (typeof topic !== 'string') return null;
+  const slug = topic.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40).replace(/-+$/, '');
+  // INDEX.md is taken (and collides with index.md on case-insensitive disks)
+  return slug && slug !== path.basename(config.MEMORY_INDEX_FILE, '.md').toLowerCase() ? slug : null;
+}
+
+/**
+ * A record's topic. Records saved before topics existed are in DEFAULT_TOPIC.
+ */
+export function recordTopic(record) {
+  return record.topic || config.DEFAULT_TOPIC;
+}
+
+export function newRecordId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Parse records from Observer/Reflector output (the content of the
+ * observation_file_contents tags). Expects a JSON array; invalid records are
+ * dropped with a warning. Plain `- ` bullets are accepted as a fallback for
+ * models that ignore the JSON format, and become 'note' records.
+ *
+ * Returns an array of raw (not yet normalized) records.
+ */
+export function parseRecords(text, label = 'Observer') {
+  const json = extractJsonArray(text);
+
+  if (json === null) {
+    const bullets = splitBullets(text).map(b => b.replace(/^\s*[-*]\s+/, ''));
+    if (bullets.length > 0) {
+      console.warn(`[${label}] Output was not JSON, importing ${bullets.length} bullet(s) as notes`);
+    }
+    return bullets.map(statement => ({ category: 'note', statement, files: [], confidence: 'medium' }));
+  }
+
+  const valid = [];
+  for (const raw of json) {
+    const errors = validateRecord(raw);
+    if (errors.length > 0) {
+      console.warn(`[${label}] Dropping invalid record: ${errors.join('; ')}`);
+      continue;
+    }
+    valid.push(raw);
+  }
+  return valid;
+}
+
+/**
+ * The JSON array in model output (fenced or surrounded by prose), or null if
+ * there is none.
+ */
+export function extractJsonArray(text) {
+  const trimmed = text.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+  const start = trimmed.indexOf('[');
+  const end = trimmed.lastIndexOf(']');
+  if (start === -1 || end <= start) return null;
+  try {
+    const parsed = JSON.parse(trimmed.slice(start, end + 1));
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split `- ` bullet text into bullets, keeping continuation lines attached.
+ */
+export function splitBullets(text) {
+  const bullets = [];
+  for (const line of text.split('\n')) {
+    if (/^\s*[-*] /.test(line)) {
+      bullets.push(line.trimEnd());
+    } else if (line.trim() && bullets.length > 0 && /^\s/.test(line)) {
+      bullets[bullets.length - 1] += `\n${line.trimEnd()}`;
+    }
+  }
+  return bullets;
+}
+
+/**
+ * Key for duplicate detection: case- and punctuation-insensitive statement.
+ */
+export function statementKey(statement) {
+  return statement.toLowerCase()
+    .replace(/[^a-z0-9/._-]+/g, ' ')
+    .replace(/\.(\s|$)/g, '$1') // sentence periods, not file extensions
+    .trim();
+}
+
+/**
+ * Drop records whose statement duplicates an earlier one, or one in `existing`.
+ * The provenance of each dropped duplicate is merged into the record kept
+ * (which may be an `existing` record, modified in place).
+ */
+export function dedupeRecords(records, existing = []) {
+  const seen = new Map(existing.map(r => [statementKey(r.statement), r]));
+  const out = [];
+  for (const record of records) {
+    const key = statementKey(record.statement);
+    if (!key) continue;
+    const kept = seen.get(key);
+    if (kept) {
+      kept.provenance = mergeProvenance(kept.provenance, record.provenance);
+      continue;
+    }
+    seen.set(key, record);
+    out.push(record);
+  }
+  return out;
+}
+
+/**
+ * Union provenance lists, skipping entries for the same file and byte range.
+ */
+export function mergeProvenance(...lists) {
+  const out = [];
+  const seen = new Set();
+  for (const entry of lists.flat()) {
+    if (!entry) continue;
+    const key = `${entry.file}:${entry.fromOffset}:${entry.toOffset}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(entry);
+  }
+  return out;
+}
+
+// ---- Rendering ----
+
+/**
+ * Render one record as a Markdown bullet.
+ */
+export function renderRecord(record) {
+  let line = `- ${record.statement}`;
+  if (record.confidence === 'low') {
+    line += ' _(unconfirmed)_';
+  }
+  const mentioned = record.files.filter(f => !record.statement.includes(f));
+  if (mentioned.length > 0) {
+    line += ` (${mentioned.map(f => `\`${f}\``).join(', ')})`;
+  }
+  return line;
+}
+
+/**
+ * Render records to the OBSERVATIONS.md format, grouped by category.
+ */
+export function renderMarkdown(records, title = 'Observations') {
+  let out = `# ${title}\n`;
+  for (const [category, heading] of Object.entries(CATEGORIES)) {
+    const group = records.filter(r => r.category === category);
+    if (group.length === 0) continue;
+    out += `\n## ${heading}\n\n${group.map(renderRecord).join('\n')}\n`;
+  }
+  return out;
+}
+
+// ---- Memory layouts ----
+//
+// 'file' (the default): everything in OBSERVATIONS.md at the project root.
+// 'topics': one Markdown file per topic in .claude/memory/, rendered like
+// OBSERVATIONS.md, plus a generated INDEX.md listing the topics. A project
+// uses the topic layout when .claude/memory/INDEX.md exists; setMemoryLayout
+// switches between the two.
+//
+// Memory files are handled as a Map of project-relative path → content, in
+// reading order (the index first).
+
+function indexPath() {
+  return path.join(config.MEMORY_DIR, config.MEMORY_INDEX_FILE);
+}
+
+function topicPath(topic) {
+  return path.join(config.MEMORY_DIR, `${topic}.md`);
+}
+
+/**
+ * The project's memory layout: 'topics' or 'file'.
+ */
+export function memoryLayout(projectPath) {
+  return fs.existsSync(path.join(projectPath, indexPath())) ? 'topics' : 'file';
+}
+
+/**
+ * Topics in use, most observations first.
+ */
+export function listTopics(records) {
+  const counts = new Map();
+  for (const record of records) {
+    const topic = recordTopic(record);
+    counts.set(topic, (counts.get(topic) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([topic]) => topic);
+}
+
+/**
+ * Render records as the files of a layout.
+ */
+export function renderMemoryFiles(records, layout) {
+  if (layout !== 'topics') {
+    return new Map([[config.OBSERVATIONS_FILE, renderMarkdown(records)]]);
+  }
+  const files = new Map([[indexPath(), renderIndex(records)]]);
+  for (const topic of [...listTopics(records)].sort()) {
+    files.set(topicPath(topic), renderMarkdown(records.filter(r => recordTopic(r) === topic), `Observations: ${topic}`));
+  }
+  return files;
+}
+
+/**
+ * Render the topic index: each topic's file, size and categories.
+ */
+export function renderIndex(records) {
+  let out = '# Memory index\n\nObservations for this project, one file per topic. Generated by claude-memory: edit the topic files, not this index.\n\n';
+  out += '| Topic | Observations | Tokens | Covers |\n|---|---|---|---|\n';
+  for (const topic of [...listTopics(records)].sort()) {
+    const group = records.filter(r => recordTopic(r) === topic);
+    const covers = Object.entries(CATEGORIES).filter(([c]) => group.some(r => r.category === c)).map(([, heading]) => heading);
+    const tokens = estimateTokens(renderMarkdown(group, `Observations: ${topic}`));
+    out += `| [${topic}](${topic}.md) | ${group.length} | ~${tokens} | ${covers.join(', ')} |\n`;
+  }
+  return out;
+}
+
+/**
+ * Read the project's memory files as they are on disk: { layout, files }.
+ * files is empty if there is no memory yet. In the topic layout it holds
+ * every .md file in the memory directory.
+ */
+export function readMemoryFiles(projectPath) {
+  const layout = memoryLayout(projectPath);
+  const files = new Map();
+  if (layout !== 'topics') {
+    try { files.set(config.OBSERVATIONS_FILE, fs.readFileSync(path.join(projectPath, config.OBSERVATIONS_FILE), 'utf-8')); } catch {}
+    return { layout, files };
+  }
+
+  const names = fs.readdirSync(path.join(projectPath, config.MEMORY_DIR))
+    .filter(f => f.endsWith('.md') && f !== config.MEMORY_INDEX_FILE)
+    .sort();
+  for (const name of [config.MEMORY_INDEX_FILE, ...names]) {
+    const rel = path.join(config.MEMORY_DIR, name);
+    try { files.set(rel, fs.readFileSync(path.join(projectPath, rel), 'utf-8')); } catch {}
+  }
+  return { layout, files };
+}
+
+/**
+ * Join memory files into one text, as injected and snapshotted.
+ */
+export function memoryText(files) {
+  return [...files.values()].join('\n');
+}
+
+/**
+ * Write memory files atomically. In the topic layout, topic files not in
+ * `files` are removed, and the index is written last.
+ */
+export function writeMemoryFiles(projectPath, files, layout) {
+  const write = (rel, content) => {
+    const filePath = path.join(projectPath, rel);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  if (layout !== 'topics') {
+    write(config.OBSERVATIONS_FILE, files.get(config.OBSERVATIONS_FILE));
+    return;
+  }
+
+  const dir = path.join(projectPath, config.MEMORY_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const name of fs.readdirSync(dir)) {
+    if (name.endsWith('.md') && name !== config.MEMORY_INDEX_FILE && !files.has(path.join(config.MEMORY_DIR, name))) {
+      fs.unlinkSync(path.join(dir, name));
+    }
+  }
+  for (const [rel, content] of files) {
+    if (rel !== indexPath()) write(rel, content);
+  }
+  write(indexPath(), files.get(indexPath()));
+}
+
+/**
+ * Switch a project's memory to another layout, carrying over its records
+ * (and any manual edits to the current files). Callers hold the
+ * OBSERVATIONS.md lock. Returns the number of records.
+ */
+export function setMemoryLayout(projectPath, layout) {
+  const records = syncRecords(projectPath);
+
+  writeMemoryFiles(projectPath, renderMemoryFiles(records, layout), layout);
+  if (layout === 'topics') {
+    try { fs.unlinkSync(path.join(projectPath, config.OBSERVATIONS_FILE)); } catch {}
+  } else {
+    const dir = path.join(projectPath, config.MEMORY_DIR);
+    for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.md'))) {
+      fs.unlinkSync(path.join(dir, name));
+    }
+    try { fs.rmdirSync(dir); } catch {} // kept if it holds anything else
+  }
+  return records.length;
+}
+
+// ---- Storage ----
+//
+// Records are kept in the project's ledger (see ledger.js). Projects from
+// before the ledger have them in state/<hash>/observations.json, or only in
+// their memory files; the first write starts the ledger from those.
+
+function legacyRecordsFile(projectPath) {
+  return path.join(stateDir(projectPath), 'observations.json');
+}
+
+/**
+ * The records as stored: replayed from the ledger, or read from an older
+ * version's observations.json. Null if there are neither.
+ */
+export function storedRecords(projectPath) {
+  const replayed = replayLedger(projectPath);
+  if (replayed) return replayed;
+  try {
+    return JSON.parse(fs.readFileSync(legacyRecordsFile(projectPath), 'utf-8')).records || [];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load a project's records. On first use, imports the bullets of existing
+ * memory files as 'note' records. Manual edits made to the memory files since
+ * they were last rendered are folded back in, so they survive the next render.
+ * Nothing is written; writers use syncRecords instead.
+ */
+export function loadRecords(projectPath) {
+  const { layout, files } = readMemoryFiles(projectPath);
+
+  const records = storedRecords(projectPath);
+  if (!records) {
+    return topicSources(files, layout).flatMap(({ topic, markdown }) => importMarkdown(markdown, topic));
+  }
+
+  if (files.size > 0 && changedFiles(files, renderMemoryFiles(records, layout))) {
+    return syncManualEdits(records, files, layout);
+  }
+  return records;
+}
+
+/**
+ * Load a project's records for a change, first recording in the ledger
+ * whatever it doesn't hold yet: records that predate it (as 'import'), and
+ * manual edits to the memory files (as 'manual-edit'). Record ids then stay
+ * stable until the change is saved with saveRecords. Callers hold the
+ * OBSERVATIONS.md lock.
+ */
+export function syncRecords(projectPath) {
+  const { layout, files } = readMemoryFiles(projectPath);
+
+  let records = replayLedger(projectPath);
+  if (!records) {
+    const legacy = storedRecords(projectPath);
+    records = legacy ?? topicSources(files, layout).flatMap(({ topic, markdown }) => importMarkdown(markdown, topic));
+    const source = legacy ? 'observations.json' : layout === 'topics' ? config.MEMORY_DIR : config.OBSERVATIONS_FILE;
+    appendLedger(projectPath, diffRecords([], records), { kind: 'import', note: `from ${source}` });
+    try { fs.unlinkSync(legacyRecordsFile(projectPath)); } catch {}
+  }
+
+  if (files.size > 0 && changedFiles(files, renderMemoryFiles(records, layout))) {
+    const synced = syncManualEdits(records, files, layout);
+    appendLedger(projectPath, diffRecords(records, synced), { kind: 'manual-edit' });
+    records = synced;
+  }
+  return records;
+}
+
+// Whether the files on disk differ from a fresh render (the generated
+// index doesn't count)
+function changedFiles(files, rendered) {
+  const keys = new Set([...files.keys(), ...rendered.keys()]);
+  keys.delete(indexPath());
+  return [...keys].some(k => files.get(k) !== rendered.get(k));
+}
+
+// The Markdown of each memory file with the topic it holds (null: all topics)
+function topicSources(files, layout) {
+  return [...files]
+    .filter(([rel]) => rel !== indexPath())
+    .map(([rel, markdown]) => ({ topic: layout === 'topics' ? path.basename(rel, '.md') : null, markdown }));
+}
+
+/**
+ * Save records and re-render the memory files from the ledger. The changes
+ * from the records in the ledger are appended to it as `pass` ({ kind,
+ * note }, see ledger.js); `opts.sources` maps new record ids to the ids they
+ * were derived from, so merges are recorded as merges. Load the records with
+ * syncRecords first: the memory files aren't read again here, so hand edits
+ * are only ever recorded once, as 'manual-edit'. Callers hold the
+ * OBSERVATIONS.md lock. Returns the records as saved.
+ */
+export function saveRecords(projectPath, records, pass, opts = {}) {
+  const before = replayLedger(projectPath) ?? [];
+  appendLedger(projectPath, diffRecords(before, records, opts.sources), pass);
+
+  const saved = replayLedger(projectPath);
+  const layout = memoryLayout(projectPath);
+  writeMemoryFiles(projectPath, renderMemoryFiles(saved, layout), layout);
+  return saved;
+}
+
+/**
+ * Re-render the memory files from the ledger alone, dropping hand edits it
+ * doesn't hold. Callers hold the OBSERVATIONS.md lock. Returns the number of
+ * records, or null if there is no ledger yet.
+ */
+export function rebuildMemoryFiles(projectPath) {
+  const records = replayLedger(projectPath);
+  if (!records) return null;
+  const layout = memoryLayout(projectPath);
+  writeMemoryFiles(projectPath, renderMemoryFiles(records, layout), layout);
+  return records.length;
+}
+
+/**
+ * Convert a free-form OBSERVATIONS.md (the pre-records format) into records.
+ * Session ids and dates come from `## <date> — Session <id>` headers when present.
+ */
+export function importMarkdown(markdown, topic = null) {
+  const records = [];
+  let sessionId = 'imported';
+  let createdAt = new Date().toISOString();
+
+  for (const block of markdown.split(/\n(?=## )/)) {
+    const header = block.match(/^## (\d{4}-\d{2}-\d{2} \d{2}:\d{2}) — Session (\S+)/);
+    if (header) {
+      sessionId = header[2];
+      createdAt = new Date(`${header[1].replace(' ', 'T')}:00Z`).toISOString();
+    }
+    for (const bullet of splitBullets(block)) {
+      const statement = bullet.replace(/^\s*[-*]\s+/, '');
+      records.push(normalizeRecord({ category: 'note', topic, statement, confidence: 'medium' }, { sessionId, createdAt }));
+    }
+  }
+  return dedupeRecords(records);
+}
+
+/**
+ * Reconcile records with hand-edited memory files: records whose bullet was
+ * deleted are dropped, and bullets that don't match any record (new or
+ * reworded) become 'note' records. In the topic layout each file is matched
+ * against its topic's records, so deleting a topic file drops its records
+ * and a new file starts a new topic.
+ */
+function syncManualEdits(records, files, layout) {
+  const kept = new Set();
+  const added = [];
+  for (const { topic, markdown } of topicSources(files, layout)) {
+    const bullets = splitBullets(markdown);
+    const present = new Set(bullets);
+    const own = records.filter(r => (topic === null || recordTopic(r) === topic) && present.has(renderRecord(r)));
+    own.forEach(r => kept.add(r));
+    const known = new Set(own.map(renderRecord));
+
+    added.push(...bullets
+      .filter(b => !known.has(b))
+      .map(b => normalizeRecord({ category: 'note', topic, statement: b.replace(/^\s*[-*]\s+/, ''), confidence: 'medium' }, { sessionId: 'manual' })));
+  }
+
+  if (kept.size !== records.length || added.length > 0) {
+    const where = layout === 'topics' ? config.MEMORY_DIR : config.OBSERVATIONS_FILE;
+    console.warn(`[Records] Synced manual edits to ${where}: ${records.length - kept.size} removed, ${added.length} added`);
+  }
+  return [...records.filter(r => kept.has(r)), ...added];
+}
@@ -1,8 +1,13 @@
-import { execFileSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from './config.js';
+import { complete } from './backends.js';
+import { compileRules, scrubRecords } from './redact.js';
+import { estimateTokens } from './tokens.js';
+import { snapshot } from './history.js';
+import { acquireObservationsLock, releaseLock, readLock, describeLock } from './lock.js';
+import { parseRecords, normalizeRecord, loadRecords, syncRecords, saveRecords, renderMarkdown, mergeProvenance, statementKey, memoryLayout, listTopics, recordTopic } from './records.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REFLECTOR_PROMPT_PATH = path.join(__dirname, '..', 'prompts', 'reflector.md');
@@ -23,65 +28,287 @@ function extractTagContent(text, tagName) {
 }
 
 /**
- * Run the Reflector pass to consolidate observations.md.
- * Uses file locking to prevent concurrent Observer appends.
+ * Run the Reflector pass to consolidate the project's observation records
+ * using the given backend spec, then re-render OBSERVATIONS.md.
+ * Holds the OBSERVATIONS.md lock (see lock.js) for the whole pass; returns
+ * false if another writer keeps it past the wait.
+ * Secrets are scrubbed from the records sent and from the output
+ * (`opts.redactRules` adds custom rules).
+ * The rewrite is validated (see validateConsolidation) and sent back with
+ * feedback when it loses too much; if no attempt passes, the original is kept.
+ * In the topic layout each topic of at least REFLECTOR_MIN_TOPIC_TOKENS is
+ * consolidated and validated on its own; the others are kept unchanged. If
+ * no topic is that large, nothing is sent and it returns false.
+ * Rethrows if `opts.signal` aborted (job cancelled or timed out).
+ *
+ * With `opts.dryRun`, nothing is written and no lock is taken; returns
+ * { records, consolidated, validation } for the last attempt instead of true.
  */
-export async function runReflector(projectPath) {
-  const obsPath = path.join(projectPath, config.OBSERVATIONS_FILE);
-  const lockPath = path.join(projectPath, config.LOCK_FILE);
-  const tmpPath = path.join(projectPath, `${config.OBSERVATIONS_FILE}.tmp`);
+export async function runReflector(projectPath, backend = config.DEFAULT_BACKEND, opts = {}) {
+  const { signal, dryRun = false } = opts;
+  const rules = compileRules(opts.redactRules);
 
-  // Acquire lock
-  try {
-    fs.writeFileSync(lockPath, String(process.pid));
-  } catch (err) {
-    console.error('[Reflector] Failed to acquire lock:', err.message);
-    return false;
+  // Hold the lock for the whole pass, so appends made meanwhile aren't lost
+  // when the consolidated records are written
+  let lock = null;
+  if (!dryRun) {
+    lock = await acquireObservationsLock(projectPath, 'reflector');
+    if (!lock) {
+      const held = readLock(path.join(projectPath, config.LOCK_FILE));
+      console.error(`[Reflector] ${config.OBSERVATIONS_FILE} is locked${held ? ` (${describeLock(held)})` : ''}, skipping.`);
+      return false;
+    }
   }
 
   try {
-    const currentContent = fs.readFileSync(obsPath, 'utf-8');
+    // Manual edits go into the ledger first, so the ids sent stay valid
+    const records = dryRun ? loadRecords(projectPath) : syncRecords(projectPath);
 
-    if (!currentContent.trim()) {
-      console.log('[Reflector] observations.md is empty, skipping.');
+    if (records.length === 0) {
+      console.log('[Reflector] No observations recorded, skipping.');
       return false;
     }
 
-    const systemPrompt = fs.readFileSync(REFLECTOR_PROMPT_PATH, 'utf-8');
-
-    const wrappedInput = `<observations>\n${currentContent}\n</observations>\n\nConsolidate the observations above per your instructions. Wrap your output in <observation_file_contents> tags.`;
+    const groups = consolidationGroups(projectPath, records);
+    if (groups.every(g => g.skip)) {
+      console.log('[Reflector] No topic is large enough to consolidate, skipping.');
+      return false;
+    }
 
-    const result = execFileSync('claude', [
-      '-p',
-      '--system-prompt', systemPrompt,
-      '--output-format', 'text',
-    ], {
-      input: wrappedInput,
-      encoding: 'utf-8',
-      maxBuffer: 10 * 1024 * 1024,
-      timeout: 600_000, // 10 min
-    });
+    const systemPrompt = fs.readFileSync(REFLECTOR_PROMPT_PATH, 'utf-8');
+    const results = [];
+    for (const group of groups) {
+      if (group.skip) {
+        results.push({ ...group, consolidated: group.records, validation: null });
+        continue;
+      }
+      if (group.topic) {
+        console.log(`[Reflector] Consolidating topic ${group.topic} (${group.records.length} records)`);
+      }
+      const { consolidated, sources, validation } = await consolidate(group.records, group.topic, { backend, systemPrompt, rules, signal });
+      results.push({ ...group, consolidated, sources, validation });
+    }
 
-    const consolidated = extractTagContent(result.trim(), 'observation_file_contents');
+    if (dryRun) {
+      const consolidated = results.flatMap(r => r.consolidated);
+      return { records, consolidated, validation: combineValidations(results, records, consolidated) };
+    }
 
-    if (!consolidated || consolidated.length < 50) {
-      console.error('[Reflector] Output too short, keeping original.');
-      return false;
+    // A topic whose rewrite failed validation keeps its records
+    const accepted = results.filter(r => r.validation?.ok);
+    for (const r of results.filter(r => r.validation && !r.validation.ok)) {
+      console.error(`[Reflector] No acceptable rewrite${r.topic ? ` for topic ${r.topic}` : ''}, keeping original.`);
     }
+    if (accepted.length === 0) return false;
 
-    // Write to tmp, then atomic rename
-    fs.writeFileSync(tmpPath, consolidated + '\n');
-    fs.renameSync(tmpPath, obsPath);
+    const consolidated = results.flatMap(r => (r.validation?.ok ? r.consolidated : r.records));
+    const sources = new Map(accepted.flatMap(r => [...r.sources]));
+    const before = renderMarkdown(records).length;
+    snapshot(projectPath, 'reflect');
+    saveRecords(projectPath, consolidated, { kind: 'reflector' }, { sources });
 
-    console.log(`[Reflector] Consolidated observations.md (${currentContent.length} → ${consolidated.length} chars)`);
+    console.log(`[Reflector] Consolidated observations (${records.length} → ${consolidated.length} records, ${before} → ${renderMarkdown(consolidated).length} chars${groups.length > 1 ? `, ${accepted.length} of ${groups.length} topics` : ''})`);
     return true;
   } catch (err) {
+    if (signal?.aborted) throw signal.reason;
     console.error('[Reflector] Failed:', err.message);
-    // Clean up tmp file if it exists
-    try { fs.unlinkSync(tmpPath); } catch {}
     return false;
   } finally {
-    // Always release lock
-    try { fs.unlinkSync(lockPath); } catch {}
+    releaseLock(lock);
+  }
+}
+
+/**
+ * How a Reflector pass splits a project's records: one group with all of
+ * them or, in the topic layout, one per topic. Topics under
+ * REFLECTOR_MIN_TOPIC_TOKENS are marked `skip` and kept as they are.
+ * Returns [{ topic, records, skip }].
+ */
+export function consolidationGroups(projectPath, records) {
+  if (memoryLayout(projectPath) !== 'topics') return [{ topic: null, records, skip: false }];
+  return listTopics(records).map(topic => {
+    const topicRecords = records.filter(r => recordTopic(r) === topic);
+    return { topic, records: topicRecords, skip: estimateTokens(renderMarkdown(topicRecords)) < config.REFLECTOR_MIN_TOPIC_TOKENS };
+  });
+}
+
+/**
+ * Ask the Reflector to consolidate one set of records (all of them, or one
+ * topic's), sending a rejected rewrite back with feedback up to
+ * REFLECTOR_MAX_ATTEMPTS times. Returns { consolidated, sources, validation }
+ * for the last attempt (see carryProvenance for `sources`).
+ */
+async function consolidate(records, topic, { backend, systemPrompt, rules, signal }) {
+  // Provenance stays with the daemon; the model only sees ids to cite in `from`
+  const input = scrubRecords(records, rules).map(({ provenance, ...rest }) => rest);
+  const topicNote = topic ? `These are the records of one topic, "${topic}". Keep the consolidated records on that topic.\n\n` : '';
+  const wrappedInput = `${topicNote}<observations>\n${JSON.stringify(input, null, 2)}\n</observations>\n\nConsolidate the observation records above per your instructions. Wrap the JSON array of consolidated records in <observation_file_contents> tags.`;
+
+  let consolidated = [];
+  let sources = new Map();
+  let validation = null;
+  for (let attempt = 1; attempt <= config.REFLECTOR_MAX_ATTEMPTS; attempt++) {
+    const prompt = validation ? `${wrappedInput}\n\n${rejectionFeedback(validation)}` : wrappedInput;
+    const result = await complete(backend, { systemPrompt, input: prompt, signal });
+
+    const output = parseRecords(extractTagContent(result.trim(), 'observation_file_contents'), 'Reflector')
+      .map(raw => (topic ? { ...raw, topic } : raw));
+    sources = new Map();
+    consolidated = carryProvenance(scrubRecords(output, rules), records, sources);
+    validation = validateConsolidation(records, consolidated);
+    if (validation.ok) break;
+
+    console.warn(`[Reflector] Rewrite${topic ? ` of topic ${topic}` : ''} rejected (attempt ${attempt}/${config.REFLECTOR_MAX_ATTEMPTS}): ${validation.problems.join('; ')}`);
+  }
+  return { consolidated, sources, validation };
+}
+
+/**
+ * Merge per-topic validations into one for a dry-run report. Topics that
+ * were skipped count as kept unchanged.
+ */
+function combineValidations(results, records, consolidated) {
+  const checked = results.filter(r => r.validation);
+  if (checked.length === 1 && results.length === 1) return checked[0].validation;
+
+  const lost = {};
+  for (const r of checked) {
+    for (const [kind, values] of Object.entries(r.validation.lost)) {
+      lost[kind] = [...(lost[kind] || []), ...values];
+    }
+  }
+  return {
+    ok: checked.every(r => r.validation.ok),
+    problems: checked.flatMap(r => r.validation.problems.map(p => `${r.topic}: ${p}`)),
+    lost,
+    sizeRatio: estimateTokens(renderMarkdown(consolidated)) / Math.max(1, estimateTokens(renderMarkdown(records))),
+  };
+}
+
+// ---- Validation ----
+
+/**
+ * Check that a consolidation kept the specifics of the original: file paths,
+ * error strings and identifiers mentioned in the records, and a sane size.
+ * The Reflector is expected to delete some records, so a kind of specific
+ * only counts as lost when more than REFLECTOR_MAX_LOST_FRACTION of it (and
+ * more than two) is gone.
+ *
+ * Returns { ok, problems, lost: { paths, errors, identifiers }, sizeRatio }.
+ */
+export function validateConsolidation(records, consolidated) {
+  const problems = [];
+  if (consolidated.length === 0) {
+    problems.push('no valid records in output');
+  }
+
+  const before = extractSpecifics(records);
+  const afterText = consolidated.map(r => `${r.statement}\n${r.files.join('\n')}`).join('\n');
+  const lost = {};
+  for (const [kind, values] of Object.entries(before)) {
+    lost[kind] = [...values].filter(v => !afterText.includes(v));
+    if (lost[kind].length > 2 && lost[kind].length / values.size > config.REFLECTOR_MAX_LOST_FRACTION) {
+      problems.push(`lost ${lost[kind].length} of ${values.size} ${KIND_LABELS[kind]}`);
+    }
+  }
+
+  const sizeRatio = estimateTokens(renderMarkdown(consolidated)) / Math.max(1, estimateTokens(renderMarkdown(records)));
+  if (sizeRatio < config.REFLECTOR_MIN_SIZE_RATIO || sizeRatio > config.REFLECTOR_MAX_SIZE_RATIO) {
+    problems.push(`output is ${Math.round(sizeRatio * 100)}% of the input size (expected ${Math.round(config.REFLECTOR_MIN_SIZE_RATIO * 100)}–${Math.round(config.REFLECTOR_MAX_SIZE_RATIO * 100)}%)`);
+  }
+
+  return { ok: problems.length === 0, problems, lost, sizeRatio };
+}
+
+const KIND_LABELS = { paths: 'file paths', errors: 'error strings', identifiers: 'identifiers' };
+
+const PATH_PATTERN = /(?:~|\.{1,2})?\/?[\w@.-]+(?:\/[\w@.-]+)+\/?|\b[\w-]{2,}\.[a-z][a-z0-9]{0,4}\b/gi;
+const ERROR_PATTERNS = [
+  /\b[A-Z][A-Za-z]*(?:Error|Exception)\b/g, // TypeError, PDOException
+  /\bE[A-Z]{3,}\b/g, // ENOENT, ECONNREFUSED
+  /"[^"\n]*(?:error|fail|denied|not found|cannot|invalid|refused)[^"\n]*"/gi, // quoted messages
+];
+const IDENTIFIER_PATTERNS = [
+  /`([^`\n]+)`/g, // code spans
+  /\b[a-z]+[A-Z][A-Za-z0-9]*\b/g, // camelCase
+  /\b[A-Za-z][A-Za-z0-9]*_[A-Za-z0-9_]+\b/g, // snake_case, CONSTANT_CASE
+  /\b[A-Za-z_][\w.]*\(\)/g, // calls: foo(), obj.method()
+];
+
+function extractSpecifics(records) {
+  const paths = new Set();
+  const errors = new Set();
+  const identifiers = new Set();
+  for (const record of records) {
+    record.files.forEach(f => paths.add(f));
+    for (const [match] of record.statement.matchAll(PATH_PATTERN)) {
+      if (!/^https?:/.test(match)) paths.add(match.replace(/[.\/]+$/, ''));
+    }
+    for (const pattern of ERROR_PATTERNS) {
+      for (const [match] of record.statement.matchAll(pattern)) errors.add(match);
+    }
+    for (const pattern of IDENTIFIER_PATTERNS) {
+      for (const match of record.statement.matchAll(pattern)) {
+        const value = match[1] || match[0];
+        if (!paths.has(value) && !errors.has(value)) identifiers.add(value);
+      }
+    }
   }
+  paths.delete('');
+  return { paths, errors, identifiers };
+}
+
+/**
+ * Instructions appended to the input when a rewrite is sent back.
+ */
+function rejectionFeedback(validation) {
+  const lines = ['Your previous consolidation was rejected because it lost too much:'];
+  for (const problem of validation.problems) {
+    lines.push(`- ${problem}`);
+  }
+  for (const [kind, values] of Object.entries(validation.lost)) {
+    if (values.length > 0) {
+      lines.push(`Missing ${KIND_LABELS[kind]}: ${values.slice(0, 30).join(', ')}${values.length > 30 ? ', ...' : ''}`);
+    }
+  }
+  lines.push('Consolidate again. Keep every specific listed above unless the observation it came from fails the quality filter, and keep merged records as specific as their sources.');
+  return lines.join('\n');
+}
+
+/**
+ * Turn Reflector output into records, carrying provenance over from the input
+ * records each output cites in `from`. Outputs without a usable `from` fall
+ * back to an input record with the same statement. An output that rewrites a
+ * single input record keeps its id, so `trace` and links stay stable.
+ * Each output's source ids are added to `sources` (id → ids), which the
+ * ledger uses to record merges.
+ */
+function carryProvenance(output, records, sources = new Map()) {
+  const byId = new Map(records.map(r => [r.id, r]));
+  const byKey = new Map(records.map(r => [statementKey(r.statement), r]));
+  const usedIds = new Set();
+
+  return output.map(raw => {
+    let from = (Array.isArray(raw.from) ? raw.from : [])
+      .map(id => byId.get(id))
+      .filter(Boolean);
+    if (from.length === 0 && byKey.has(statementKey(raw.statement))) {
+      from = [byKey.get(statementKey(raw.statement))];
+    }
+
+    let id;
+    if (from.length === 1 && !usedIds.has(from[0].id)) {
+      id = from[0].id;
+      usedIds.add(id);
+    }
+
+    // A record the model left without a topic stays on its sources' topic
+    const record = normalizeRecord({
+      ...raw,
+      id,
+      provenance: mergeProvenance(...from.map(r => r.provenance)),
+    }, { topic: from[0] && recordTopic(from[0]) });
+    sources.set(record.id, from.map(r => r.id));
+    return record;
+  });
 }
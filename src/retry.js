@@ -0,0 +1,152 @@
+import path from 'path';
+import config from './config.js';
+import { stateDir } from './state.js';
+import { readJson, updateJson } from './storage.js';
+
+/**
+ * Persistent retry queue for conversation deltas whose Observer pass failed.
+ *
+ * Stored per project in state/<hash>/retry-queue.json:
+ *   pending:     ranges waiting for their next attempt (exponential backoff)
+ *   deadLetters: ranges that failed config.RETRY_MAX_ATTEMPTS times; re-run
+ *                manually with `claude-memory retry`
+ *
+ * Each entry: { file, fromOffset, toOffset, attempts, firstFailedAt,
+ *               lastFailedAt, nextAttemptAt, lastError }
+ *
+ * The daemon and `claude-memory retry` both change it, so it is written like
+ * the state file: under its lock, atomically, with a backup (see storage.js).
+ */
+
+function queueFile(projectPath) {
+  return path.join(stateDir(projectPath), 'retry-queue.json');
+}
+
+function emptyQueue() {
+  return { pending: [], deadLetters: [] };
+}
+
+/**
+ * Read a project's retry queue. Throws if the file is corrupted and its
+ * backup can't be restored, instead of losing the queued ranges.
+ */
+export function loadRetryQueue(projectPath) {
+  const data = readJson(queueFile(projectPath)) ?? emptyQueue();
+  return { pending: data.pending || [], deadLetters: data.deadLetters || [] };
+}
+
+// Change the queue under its lock; `mutate` returns false to skip the write
+function updateRetryQueue(projectPath, mutate) {
+  return updateJson(queueFile(projectPath), emptyQueue(), queue => {
+    queue.pending ??= [];
+    queue.deadLetters ??= [];
+    return mutate(queue);
+  });
+}
+
+/**
+ * Record a failed range for retry. The range is identified by file + fromOffset,
+ * so a range that fails again updates its existing entry.
+ */
+export function enqueueRetry(projectPath, file, fromOffset, toOffset, error) {
+  updateRetryQueue(projectPath, queue => {
+    const existing = queue.pending.find(e => e.file === file && e.fromOffset === fromOffset);
+
+    if (existing) {
+      recordFailure(queue, existing, error);
+    } else {
+      const now = new Date().toISOString();
+      const entry = {
+        file,
+        fromOffset,
+        toOffset,
+        attempts: 0,
+        firstFailedAt: now,
+      };
+      queue.pending.push(entry);
+      recordFailure(queue, entry, error);
+    }
+  });
+}
+
+/**
+ * Drop every pending and dead-letter range of a file, e.g. after it was
+ * rewritten and its byte ranges no longer point at the same content.
+ * Returns how many were dropped.
+ */
+export function discardRetries(projectPath, file) {
+  const dropped = updateRetryQueue(projectPath, queue => {
+    const before = queue.pending.length + queue.deadLetters.length;
+    queue.pending = queue.pending.filter(e => e.file !== file);
+    queue.deadLetters = queue.deadLetters.filter(e => e.file !== file);
+    const count = before - queue.pending.length - queue.deadLetters.length;
+    return count > 0 ? count : false;
+  });
+  return dropped || 0;
+}
+
+/**
+ * Entries whose backoff has elapsed.
+ */
+export function dueRetries(queue, now = Date.now()) {
+  return queue.pending.filter(e => new Date(e.nextAttemptAt).getTime() <= now);
+}
+
+/**
+ * The queued entry for `entry`'s range, or null if it has been settled or
+ * attempted again since `entry` was read (by an earlier job for the same
+ * range, or `claude-memory retry`).
+ */
+export function currentRetry(projectPath, entry) {
+  const queue = loadRetryQueue(projectPath);
+  const match = (e) => e.file === entry.file && e.fromOffset === entry.fromOffset && e.attempts === entry.attempts;
+  return queue.pending.find(match) || queue.deadLetters.find(match) || null;
+}
+
+/**
+ * Update a retry entry after another attempt.
+ * On success the entry is removed; on failure its backoff grows, and it moves
+ * to the dead-letter list once it has used up its attempts.
+ */
+export function settleRetry(projectPath, entry, error = null) {
+  const match = (e) => e.file === entry.file && e.fromOffset === entry.fromOffset;
+
+  updateRetryQueue(projectPath, queue => {
+    const pendingEntry = queue.pending.find(match);
+    const deadEntry = queue.deadLetters.find(match);
+
+    if (!error) {
+      queue.pending = queue.pending.filter(e => !match(e));
+      queue.deadLetters = queue.deadLetters.filter(e => !match(e));
+    } else if (deadEntry) {
+      // Manual re-run of a dead letter failed again — keep it dead
+      deadEntry.attempts++;
+      deadEntry.lastFailedAt = new Date().toISOString();
+      deadEntry.lastError = error.message;
+    } else if (pendingEntry) {
+      recordFailure(queue, pendingEntry, error);
+    } else {
+      return false;
+    }
+  });
+}
+
+function recordFailure(queue, entry, error) {
+  entry.attempts++;
+  entry.lastFailedAt = new Date().toISOString();
+  entry.lastError = error.message;
+
+  if (entry.attempts >= config.RETRY_MAX_ATTEMPTS) {
+    delete entry.nextAttemptAt;
+    queue.pending = queue.pending.filter(e => e !== entry);
+    queue.deadLetters.push(entry);
+    console.error(`[Retry] ${entry.file} (${entry.fromOffset}–${entry.toOffset}) failed ${entry.attempts} times, moved to dead letters`);
+    return;
+  }
+
+  const delay = Math.min(
+    config.RETRY_BASE_DELAY_MS * 2 ** (entry.attempts - 1),
+    config.RETRY_MAX_DELAY_MS,
+  );
+  entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+}
@@ -0,0 +1,136 @@
+import config from './config.js';
+
+/**
+ * Async job scheduler for the daemon.
+ *
+ * - At most config.MAX_CONCURRENT_JOBS jobs run at once, across all projects.
+ * - At most one job runs at a time per key (the project path), so Observer and
+ *   Reflector passes for the same project never overlap.
+ * - Every job gets an AbortSignal that fires on timeout or cancellation; LLM
+ *   backends pass it down to the child process or HTTP request.
+ * - Pending jobs with the same dedupeKey are coalesced into one.
+ */
+
+const pending = []; // jobs waiting for a slot, in FIFO order
+const running = new Map(); // job id -> job
+const busyKeys = new Set(); // keys with a running job
+let nextId = 1;
+
+/**
+ * Queue a job. `fn(signal)` does the work and should honor the signal.
+ * Returns a promise for fn's result; it rejects on failure, timeout or cancellation.
+ *
+ * @param {string} key - serialization key (project path)
+ * @param {string} name - label for logs
+ * @param {function(AbortSignal): Promise} fn
+ * @param {object} opts
+ * @param {number} opts.timeoutMs - per-job timeout (default config.JOB_TIMEOUT_MS)
+ * @param {string} opts.dedupeKey - coalesce with a pending job that has the same dedupeKey
+ */
+export function schedule(key, name, fn, opts = {}) {
+  if (opts.dedupeKey) {
+    const existing = pending.find(j => j.key === key && j.dedupeKey === opts.dedupeKey);
+    if (existing) {
+      return existing.promise;
+    }
+  }
+
+  const job = {
+    id: nextId++,
+    key,
+    name,
+    fn,
+    dedupeKey: opts.dedupeKey || null,
+    timeoutMs: opts.timeoutMs || config.JOB_TIMEOUT_MS,
+    controller: new AbortController(),
+  };
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+
+  pending.push(job);
+  pump();
+  return job.promise;
+}
+
+/**
+ * Cancel all pending and running jobs, optionally only those for one key.
+ * Returns the number of jobs cancelled.
+ */
+export function cancelJobs(key = null) {
+  let count = 0;
+
+  for (let i = pending.length - 1; i >= 0; i--) {
+    const job = pending[i];
+    if (key !== null && job.key !== key) continue;
+    pending.splice(i, 1);
+    job.reject(jobError('JOB_CANCELLED', `Job cancelled: ${job.name}`));
+    count++;
+  }
+
+  for (const job of running.values()) {
+    if (key !== null && job.key !== key) continue;
+    job.controller.abort(jobError('JOB_CANCELLED', `Job cancelled: ${job.name}`));
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * True if err is the abort reason of a cancelled (not timed-out) job.
+ */
+export function isCancelled(err) {
+  return err?.code === 'JOB_CANCELLED';
+}
+
+/**
+ * Snapshot of scheduler activity for logs and status output.
+ */
+export function schedulerStats() {
+  return {
+    running: [...running.values()].map(j => ({ key: j.key, name: j.name })),
+    pending: pending.map(j => ({ key: j.key, name: j.name })),
+  };
+}
+
+function pump() {
+  while (running.size < config.MAX_CONCURRENT_JOBS) {
+    const idx = pending.findIndex(j => !busyKeys.has(j.key));
+    if (idx === -1) return;
+
+    const [job] = pending.splice(idx, 1);
+    start(job);
+  }
+}
+
+function start(job) {
+  running.set(job.id, job);
+  busyKeys.add(job.key);
+
+  const { signal } = job.controller;
+  const timer = setTimeout(() => {
+    job.controller.abort(jobError('JOB_TIMEOUT', `Job timed out after ${Math.round(job.timeoutMs / 1000)}s: ${job.name}`));
+  }, job.timeoutMs);
+
+  // Settle on abort even if fn ignores the signal, so the slot is freed
+  const aborted = new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+
+  Promise.race([Promise.resolve().then(() => job.fn(signal)), aborted])
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      clearTimeout(timer);
+      running.delete(job.id);
+      busyKeys.delete(job.key);
+      pump();
+    });
+}
+
+function jobError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
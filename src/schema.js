@@ -0,0 +1,80 @@
+/**
+ * Versioned JSON files.
+ *
+ * projects.json and each project's observer-state.json carry a schema
+ * `version`. Files written before versioning have none and count as
+ * version 0. The module that owns a file lists its migrations in order:
+ * migrations[n] turns version n into n + 1, so the current version is
+ * migrations.length. Adding a field means adding a migration that fills it
+ * in, not a fallback where it's read.
+ *
+ * Files are upgraded in memory whenever they are read, and written back
+ * upgraded on daemon start, by `claude-memory migrate` (which `update` runs)
+ * and before the CLI commands that write them; read-only commands and the
+ * `inject` hook leave them as they are. The version a file had before is
+ * kept as `<file>.bak` (see storage.js).
+ */
+
+/**
+ * Migrate `data` (read from `file`) in place to the current version, then
+ * validate it. `validate(data)` returns a list of problems.
+ * Returns the version the data had. Throws, naming the file, if the data
+ * isn't an object, was written by a newer version, or is invalid.
+ */
+export function upgrade(data, { file, migrations, validate }) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${file} is not a JSON object. Fix or delete it to start over.`);
+  }
+
+  const from = data.version ?? 0;
+  const current = migrations.length;
+  if (!Number.isInteger(from) || from < 0) {
+    throw new Error(`${file} has an invalid schema version: ${JSON.stringify(data.version)}`);
+  }
+  if (from > current) {
+    throw new Error(`${file} has schema version ${from}, but this claude-memory only understands up to version ${current}. It was written by a newer version; update with: claude-memory update`);
+  }
+
+  for (let version = from; version < current; version++) {
+    try {
+      migrations[version](data);
+    } catch (err) {
+      throw new Error(`${file}: migrating from schema version ${version} to ${version + 1} failed: ${err.message}`);
+    }
+    data.version = version + 1;
+  }
+
+  const problems = validate(data);
+  if (problems.length > 0) {
+    throw new Error(`${file} is invalid (schema version ${current}):\n  - ${problems.join('\n  - ')}\nFix or delete it, or restore ${file}.bak.`);
+  }
+  return from;
+}
+
+// ---- Validation helpers ----
+
+/**
+ * Describe a value for an error message.
+ */
+export function show(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? 'nothing' : text.length > 60 ? `${text.slice(0, 60)}...` : text;
+}
+
+export function isCount(value, min = 0) {
+  return Number.isInteger(value) && value >= min;
+}
+
+export function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Older versions read numbers with `||`, so a numeric string still worked
+ * and any falsy value meant "use the default". Keep both readings when
+ * migrating; anything else is left for validation to report.
+ */
+export function toCount(value, fallback) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value) || fallback;
+  return value || fallback;
+}
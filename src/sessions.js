@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import { isSessionTranscript, readLines } from './parser.js';
+
+/**
+ * Session threading.
+ *
+ * Claude Code starts a new JSONL file when a session is resumed, and
+ * compacts long sessions in place. This module links the files back together:
+ *
+ * - a file continues another when its first message's parentUuid (or a
+ *   compact boundary's logicalParentUuid) is a message in that file, when it
+ *   starts with a copy of that file's messages (older resumes copy the
+ *   history), or when it has a `summary` entry whose leafUuid is in that file
+ * - `summary` entries ({ type: 'summary', summary, leafUuid }) title the
+ *   conversation ending at leafUuid
+ * - compaction summaries are user messages with isCompactSummary: true
+ *
+ * Scans are cached per file and extended incrementally as files grow, so the
+ * daemon only reads new bytes. Only the SESSION_CACHE_MAX_FILES most recently
+ * used scans are kept. Observer passes look up a file's own thread
+ * (sessionThread), not the whole project.
+ */
+
+// filePath -> { scanned, info }, least recently used first
+const cache = new Map();
+// filePath -> the session file it continues, or null (see findPrior)
+const priors = new Map();
+
+/**
+ * Scan (or extend the cached scan of) one session file. Returns:
+ *   { file, sessionId, size, uuids: Set, firstUuid, parentUuid, summaries: [{ summary, leafUuid }],
+ *     compactions: [{ offset, summary }], firstTimestamp, lastTimestamp }
+ * parentUuid is the first parent reference that points outside the file.
+ */
+export function scanSession(filePath) {
+  const size = fs.statSync(filePath).size;
+  let cached = cache.get(filePath);
+  if (!cached || size < cached.scanned) {
+    priors.delete(filePath);
+    cached = {
+      scanned: 0,
+      info: {
+        file: path.basename(filePath),
+        sessionId: path.basename(filePath, '.jsonl'),
+        size: 0,
+        uuids: new Set(),
+        firstUuid: null,
+        parentUuid: null,
+        summaries: [],
+        compactions: [],
+        firstTimestamp: null,
+        lastTimestamp: null,
+      },
+    };
+  }
+  cache.delete(filePath);
+  cache.set(filePath, cached);
+  if (cache.size > config.SESSION_CACHE_MAX_FILES) {
+    cache.delete(cache.keys().next().value);
+  }
+  if (size === cached.scanned) return cached.info;
+
+  // Only scan complete lines; a partial last line is picked up next time
+  const info = cached.info;
+  for (const { line, start, end } of readLines(filePath, cached.scanned, size)) {
+    cached.scanned = end;
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    indexEntry(info, entry, start);
+  }
+
+  info.size = cached.scanned;
+  return info;
+}
+
+function indexEntry(info, entry, offset) {
+  if (entry.type === 'summary') {
+    if (entry.summary) info.summaries.push({ summary: entry.summary, leafUuid: entry.leafUuid || null });
+    return;
+  }
+
+  const parent = entry.parentUuid || entry.logicalParentUuid;
+  if (!info.parentUuid && parent && !info.uuids.has(parent)) {
+    info.parentUuid = parent;
+  }
+  if (entry.uuid) {
+    info.firstUuid ??= entry.uuid;
+    info.uuids.add(entry.uuid);
+  }
+
+  if (entry.timestamp) {
+    info.firstTimestamp ??= entry.timestamp;
+    info.lastTimestamp = entry.timestamp;
+  }
+
+  if (entry.isCompactSummary) {
+    info.compactions.push({ offset, summary: messageText(entry) });
+  }
+}
+
+function messageText(entry) {
+  const content = entry.message?.content;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+  return '';
+}
+
+/**
+ * Scan every session file in a Claude project directory and link them.
+ * Returns session infos (see scanSession) with `title`, `continues` (the
+ * info it continues, or null) and `continuedBy` (array), ordered by when
+ * they were last active.
+ */
+export function sessionIndex(claudeDir) {
+  let files;
+  try {
+    files = fs.readdirSync(claudeDir).filter(isSessionTranscript);
+  } catch {
+    return [];
+  }
+
+  const sessions = files
+    .map(f => ({ ...scanSession(path.join(claudeDir, f)), continues: null, continuedBy: [] }))
+    .sort((a, b) => (a.lastTimestamp || '').localeCompare(b.lastTimestamp || ''));
+
+  // A uuid copied into a resumed session belongs to the session that ended first
+  const byUuid = new Map();
+  for (const s of sessions) {
+    for (const uuid of s.uuids) {
+      if (!byUuid.has(uuid)) byUuid.set(uuid, s);
+    }
+  }
+
+  // Titles: the last summary written for a leaf inside the session
+  const titles = new Map();
+  for (const s of sessions) {
+    for (const { summary, leafUuid } of s.summaries) {
+      const owner = byUuid.get(leafUuid);
+      if (owner) titles.set(owner, summary);
+    }
+  }
+
+  for (const s of sessions) {
+    s.title = titles.get(s) || null;
+    let prior = s.parentUuid ? byUuid.get(s.parentUuid) : null;
+    if (!prior && byUuid.get(s.firstUuid) !== s) {
+      prior = byUuid.get(s.firstUuid) || null;
+    }
+    if (!prior) {
+      prior = s.summaries.map(x => byUuid.get(x.leafUuid)).find(o => o && o !== s) || null;
+    }
+    if (prior && prior !== s) {
+      s.continues = prior;
+      prior.continuedBy.push(s);
+    }
+  }
+
+  return sessions;
+}
+
+/**
+ * One session file's place in its thread: its info (see scanSession) with
+ * `title` and `continues` (the info of the session it continues, or null).
+ * Unlike sessionIndex, only the file itself is scanned, plus, the first time,
+ * the other transcripts newest first until the one it continues.
+ */
+export function sessionThread(filePath) {
+  const session = { ...scanSession(filePath), continues: null };
+  if (session.firstUuid) {
+    // Where a file starts never changes, so neither does what it continues
+    if (!priors.has(filePath)) priors.set(filePath, findPrior(filePath, session));
+    const prior = priors.get(filePath);
+    if (prior && fs.existsSync(prior)) session.continues = { ...scanSession(prior) };
+  }
+
+  // A resumed session's file carries the summary of the one it continues
+  const summaries = [...(session.continues?.summaries || []), ...session.summaries];
+  const titleOf = info => summaries.filter(x => info.uuids.has(x.leafUuid)).pop()?.summary || null;
+  session.title = titleOf(session);
+  if (session.continues) session.continues.title = titleOf(session.continues);
+  return session;
+}
+
+// The transcript a session continues: the newest one that ended before it
+// and holds its parent message or, without one, its first message (older
+// resumes copy the history) or a summary's leaf. Null if there is none.
+function findPrior(filePath, session) {
+  const dir = path.dirname(filePath);
+  let candidates;
+  try {
+    candidates = fs.readdirSync(dir)
+      .filter(f => isSessionTranscript(f) && f !== session.file)
+      .map(f => ({ file: path.join(dir, f), mtimeMs: fs.statSync(path.join(dir, f)).mtimeMs }))
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  } catch {
+    return null;
+  }
+
+  const refs = session.parentUuid
+    ? [session.parentUuid]
+    : [session.firstUuid, ...session.summaries.map(x => x.leafUuid).filter(Boolean)];
+  for (const { file } of candidates) {
+    const info = scanSession(file);
+    if (session.lastTimestamp && info.lastTimestamp > session.lastTimestamp) continue;
+    if (refs.some(uuid => info.uuids.has(uuid))) return file;
+  }
+  return null;
+}
+
+/**
+ * Build the "previous context" the Observer gets with a delta of `filePath`
+ * starting at `fromOffset`: the session title, the session it continues, and
+ * the latest compaction summary before the delta. Returns '' if there is none.
+ */
+export function previousContext(filePath, fromOffset) {
+  let session;
+  try {
+    session = sessionThread(filePath);
+  } catch {
+    return '';
+  }
+
+  const lines = [];
+  if (session.title) {
+    lines.push(`Session: ${session.title}`);
+  }
+  if (session.continues) {
+    const prior = session.continues;
+    lines.push(`Continues session ${prior.sessionId.slice(0, 8)}${prior.title ? ` ("${prior.title}")` : ''}${prior.lastTimestamp ? `, last active ${prior.lastTimestamp.slice(0, 16).replace('T', ' ')}` : ''}`);
+  }
+
+  const compaction = session.compactions.filter(c => c.offset < fromOffset).pop();
+  if (compaction?.summary) {
+    lines.push(`Earlier in this session (compaction summary):\n${clip(compaction.summary, config.MAX_CONTEXT_SUMMARY_CHARS)}`);
+  } else if (fromOffset === 0 && session.continues?.compactions.length > 0) {
+    const prior = session.continues.compactions[session.continues.compactions.length - 1];
+    lines.push(`Earlier in the previous session (compaction summary):\n${clip(prior.summary, config.MAX_CONTEXT_SUMMARY_CHARS)}`);
+  }
+
+  return lines.join('\n');
+}
+
+function clip(text, maxChars) {
+  return text.length <= maxChars ? text : `${text.slice(0, maxChars)} ... [clipped]`;
+}
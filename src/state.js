@@ -2,12 +2,14 @@ import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import config from './config.js';
+import { readJson, updateJson } from './storage.js';
+import { upgrade, show, isCount, isPlainObject } from './schema.js';
 
 function projectHash(projectPath) {
   return crypto.createHash('md5').update(projectPath).digest('hex').slice(0, 12);
 }
 
-function stateDir(projectPath) {
+export function stateDir(projectPath) {
   return path.join(config.STATE_DIR, projectHash(projectPath));
 }
 
@@ -15,35 +17,225 @@ function stateFile(projectPath) {
   return path.join(stateDir(projectPath), 'observer-state.json');
 }
 
-export function loadState(projectPath) {
-  const file = stateFile(projectPath);
-  try {
-    return JSON.parse(fs.readFileSync(file, 'utf-8'));
-  } catch {
-    return {
-      files: {},
-      lastReflection: null,
-      totalObserverPasses: 0,
-      totalReflectorPasses: 0,
-    };
+// A project's observer-state.json:
+//   { version: 1, files: { <name>.jsonl: { offset, fingerprint?, lastProcessed,
+//     observationCount } }, lastReflection, totalObserverPasses, totalReflectorPasses }
+// See schema.js for versions and migrations.
+
+const MIGRATIONS = [
+  // 0 → 1: fill in the counters older versions read with `||` fallbacks
+  state => {
+    state.files ??= {};
+    state.lastReflection ??= null;
+    state.totalObserverPasses ||= 0;
+    state.totalReflectorPasses ||= 0;
+    if (!isPlainObject(state.files)) return;
+    for (const entry of Object.values(state.files)) {
+      if (!isPlainObject(entry)) continue;
+      entry.offset ||= 0;
+      entry.observationCount ||= 0;
+      entry.lastProcessed ??= null;
+    }
+  },
+];
+
+export const STATE_SCHEMA_VERSION = MIGRATIONS.length;
+
+function validateState(state) {
+  const problems = [];
+  if (!isPlainObject(state.files)) {
+    problems.push(`"files" must be an object, got ${show(state.files)}`);
+  } else {
+    for (const [name, entry] of Object.entries(state.files)) {
+      const at = `files[${JSON.stringify(name)}]`;
+      if (!isPlainObject(entry)) {
+        problems.push(`${at} must be an object, got ${show(entry)}`);
+        continue;
+      }
+      if (!isCount(entry.offset)) problems.push(`${at}.offset must be a byte offset, got ${show(entry.offset)}`);
+      if (!isCount(entry.observationCount)) problems.push(`${at}.observationCount must be a whole number, got ${show(entry.observationCount)}`);
+      if (entry.fingerprint !== undefined && !(isPlainObject(entry.fingerprint) && isCount(entry.fingerprint.headBytes) && isCount(entry.fingerprint.tailBytes))) {
+        problems.push(`${at}.fingerprint is malformed: ${show(entry.fingerprint)}`);
+      }
+    }
+  }
+  for (const key of ['totalObserverPasses', 'totalReflectorPasses']) {
+    if (!isCount(state[key])) problems.push(`"${key}" must be a whole number, got ${show(state[key])}`);
+  }
+  if (state.lastReflection !== null && typeof state.lastReflection !== 'string') {
+    problems.push(`"lastReflection" must be a timestamp, got ${show(state.lastReflection)}`);
   }
+  return problems;
 }
 
-export function saveState(projectPath, state) {
-  const dir = stateDir(projectPath);
-  fs.mkdirSync(dir, { recursive: true });
-  fs.writeFileSync(stateFile(projectPath), JSON.stringify(state, null, 2));
+function upgradeState(projectPath, state) {
+  return upgrade(state, { file: stateFile(projectPath), migrations: MIGRATIONS, validate: validateState });
+}
+
+/**
+ * Load a project's state, upgraded to the current schema. Throws if the
+ * state file is corrupted and its backup can't be restored (see
+ * storage.js), was written by a newer version, or is invalid.
+ */
+export function loadState(projectPath) {
+  const state = readJson(stateFile(projectPath)) ?? emptyState();
+  upgradeState(projectPath, state);
+  return state;
+}
+
+function emptyState() {
+  return {
+    version: STATE_SCHEMA_VERSION,
+    files: {},
+    lastReflection: null,
+    totalObserverPasses: 0,
+    totalReflectorPasses: 0,
+  };
+}
+
+/**
+ * Change a project's state in place under its lock, so concurrent writers
+ * (the daemon, `seal`, `reflect`) don't lose each other's updates. `mutate`
+ * gets the state as it is on disk now, upgraded to the current schema;
+ * return false to skip the write. Returns what `mutate` returned.
+ */
+export function updateState(projectPath, mutate) {
+  return updateJson(stateFile(projectPath), emptyState(), state => {
+    upgradeState(projectPath, state);
+    return mutate(state);
+  });
+}
+
+/**
+ * Write a project's state back in the current schema if it is older.
+ * Returns the version it had, or null if there was nothing to migrate.
+ */
+export function migrateStateFile(projectPath) {
+  if (!fs.existsSync(stateFile(projectPath))) return null;
+  const from = updateJson(stateFile(projectPath), emptyState(), state => {
+    const version = upgradeState(projectPath, state);
+    return version < STATE_SCHEMA_VERSION ? version : false;
+  });
+  return from === false ? null : from;
 }
 
 export function getFileOffset(state, filename) {
   return state.files[filename]?.offset || 0;
 }
 
-export function updateFileOffset(state, filename, offset, observationCount = 0) {
+/**
+ * Record how far a file has been processed. `fingerprint` (see
+ * fileFingerprint) lets the next pass notice if the bytes before the offset
+ * have changed.
+ */
+export function updateFileOffset(state, filename, offset, observationCount = 0, fingerprint = null) {
   if (!state.files[filename]) {
     state.files[filename] = {};
   }
   state.files[filename].offset = offset;
+  if (fingerprint) {
+    state.files[filename].fingerprint = fingerprint;
+  } else {
+    delete state.files[filename].fingerprint;
+  }
   state.files[filename].lastProcessed = new Date().toISOString();
   state.files[filename].observationCount = (state.files[filename].observationCount || 0) + observationCount;
 }
+
+/**
+ * The end of the last complete (newline-terminated) line in
+ * [fromOffset, toOffset), or fromOffset if there is none. Offsets only ever
+ * advance to a line end, so a line Claude Code is still writing is read whole
+ * on the next pass.
+ */
+export function completeLinesEnd(filePath, fromOffset, toOffset) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(Math.min(64 * 1024, Math.max(0, toOffset - fromOffset)));
+    let end = toOffset;
+    while (end > fromOffset) {
+      const start = Math.max(fromOffset, end - buf.length);
+      const read = fs.readSync(fd, buf, 0, end - start, start);
+      const idx = buf.subarray(0, read).lastIndexOf(0x0a);
+      if (idx !== -1) return start + idx + 1;
+      end = start;
+    }
+    return fromOffset;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function hashRange(filePath, start, end) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(end - start);
+    const read = fs.readSync(fd, buf, 0, buf.length, start);
+    return crypto.createHash('md5').update(buf.subarray(0, read)).digest('hex');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Fingerprint the content a file has been processed up to: hashes of its
+ * first line (capped at FINGERPRINT_BYTES) and of the FINGERPRINT_BYTES just
+ * before `offset`. Returns null at offset 0.
+ */
+export function fileFingerprint(filePath, offset) {
+  if (offset <= 0) return null;
+  const headBytes = firstLineEnd(filePath, Math.min(config.FINGERPRINT_BYTES, offset));
+  const tailBytes = Math.min(config.FINGERPRINT_BYTES, offset);
+  return {
+    headBytes,
+    head: hashRange(filePath, 0, headBytes),
+    tailBytes,
+    tail: hashRange(filePath, offset - tailBytes, offset),
+  };
+}
+
+function firstLineEnd(filePath, maxBytes) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(maxBytes);
+    const read = fs.readSync(fd, buf, 0, maxBytes, 0);
+    const idx = buf.subarray(0, read).indexOf(0x0a);
+    return idx === -1 ? read : idx + 1;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Check a file's stored offset against its current content. Returns
+ * { offset, recovery }, where recovery is:
+ * - null: the file only grew; continue from the stored offset
+ * - 'truncated': the file is shorter than the offset but its first line is
+ *   unchanged; continue from its last complete line (what remains was
+ *   already observed)
+ * - 'rewritten': the bytes before the offset changed; start over from 0
+ * Offsets saved without a fingerprint can only be checked for truncation.
+ */
+export function checkFileOffset(state, filename, filePath, size) {
+  const entry = state.files[filename];
+  const offset = entry?.offset || 0;
+  if (offset === 0) return { offset, recovery: null };
+
+  // The first line identifies the conversation: if it's intact the file was
+  // only cut short, otherwise it was replaced
+  const fp = entry.fingerprint;
+  try {
+    if (fp && (size < fp.headBytes || hashRange(filePath, 0, fp.headBytes) !== fp.head)) {
+      return { offset: 0, recovery: 'rewritten' };
+    }
+    if (size < offset) {
+      return { offset: completeLinesEnd(filePath, 0, size), recovery: 'truncated' };
+    }
+    if (fp && hashRange(filePath, offset - fp.tailBytes, offset) !== fp.tail) {
+      return { offset: 0, recovery: 'rewritten' };
+    }
+  } catch {
+    // Unreadable right now; leave it to the next pass
+  }
+  return { offset, recovery: null };
+}
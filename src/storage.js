@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import { tryLock, releaseLock, readLock, describeLock } from './lock.js';
+
+/**
+ * Crash-safe JSON files shared by the daemon and the CLI (projects.json and
+ * each project's observer-state.json).
+ *
+ * - Writes go to a temp file that is synced and renamed over the original,
+ *   so a crash leaves either the old or the new file, never half of one.
+ * - The previous good version is kept as `<file>.bak`. If the file can't be
+ *   parsed anyway (written by an older version, damaged on disk), it is moved
+ *   to `<file>.corrupt` and the backup is restored under `<file>.lock`, with a
+ *   warning. Without a usable backup, reading throws instead of starting
+ *   over from nothing.
+ * - Read-modify-write cycles (updateJson) hold `<file>.lock`, so `seal`,
+ *   `config set` and the daemon don't overwrite each other's changes. A lock
+ *   whose process is gone, or older than FILE_LOCK_STALE_MS, is taken over
+ *   (see lock.js).
+ */
+
+/**
+ * Read a JSON file. Returns null if it doesn't exist; recovers from the
+ * backup if it is corrupted. Throws if it is corrupted and can't be recovered.
+ */
+export function readJson(file) {
+  return readJsonFile(file, false);
+}
+
+function readJsonFile(file, locked) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    if (locked) return recoverFromBackup(file, err);
+    // Read again under the lock: a writer may have replaced the file meanwhile
+    return withFileLock(file, () => readJsonFile(file, true));
+  }
+}
+
+function recoverFromBackup(file, parseError) {
+  const backup = `${file}.bak`;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(backup, 'utf-8'));
+  } catch {
+    throw new Error(`${file} is corrupted (${parseError.message}) and has no usable backup. Fix or delete it to start over.`);
+  }
+
+  try { fs.renameSync(file, `${file}.corrupt`); } catch {}
+  writeAtomic(file, JSON.stringify(data, null, 2));
+  console.warn(`[Storage] ${file} was corrupted (${parseError.message}). Restored the previous version from ${path.basename(backup)}; the damaged file was kept as ${path.basename(file)}.corrupt`);
+  return data;
+}
+
+/**
+ * Write a JSON file atomically, keeping the version it replaces as a backup.
+ */
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  try {
+    // Only back up a version that can be restored
+    JSON.parse(fs.readFileSync(file, 'utf-8'));
+    fs.copyFileSync(file, `${file}.bak`);
+  } catch {}
+  writeAtomic(file, JSON.stringify(data, null, 2));
+}
+
+function writeAtomic(file, text) {
+  const tmpPath = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, file);
+}
+
+/**
+ * Read-modify-write a JSON file under its lock. `mutate` gets the current
+ * contents (`fallback` if the file doesn't exist yet) and changes them in
+ * place; the file is written unless it returns false. Returns what `mutate`
+ * returned.
+ */
+export function updateJson(file, fallback, mutate) {
+  return withFileLock(file, () => {
+    const data = readJsonFile(file, true) ?? fallback;
+    const result = mutate(data);
+    if (result !== false) writeJson(file, data);
+    return result;
+  });
+}
+
+/**
+ * Run `fn` synchronously while holding `<file>.lock` (see lock.js). Waits up
+ * to FILE_LOCK_TIMEOUT_MS for another process to release it, then throws.
+ * The wait blocks the thread, which is why the daemon lowers the timeout to
+ * DAEMON_FILE_LOCK_TIMEOUT_MS; holders only keep the lock for one write.
+ */
+function withFileLock(file, fn) {
+  const lockPath = `${file}.lock`;
+  const deadline = Date.now() + config.FILE_LOCK_TIMEOUT_MS;
+
+  let handle;
+  while (!(handle = tryLock(lockPath, { owner: path.basename(file), staleMs: config.FILE_LOCK_STALE_MS }))) {
+    if (Date.now() >= deadline) {
+      const held = readLock(lockPath);
+      throw new Error(`Timed out waiting for ${lockPath}${held ? ` (${describeLock(held)})` : ''}`);
+    }
+    sleepSync(50);
+  }
+
+  try {
+    return fn();
+  } finally {
+    releaseLock(handle);
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
@@ -0,0 +1,72 @@
+import fs from 'fs';
+
+/**
+ * Local token estimation.
+ *
+ * Approximates a BPE tokenizer without shipping one: text is split the way
+ * BPE pre-tokenizers split it (words, numbers, whitespace, symbol runs) and
+ * each piece is costed by its kind. Not exact, but it tracks code, symbols
+ * and non-ASCII text, which `chars / 4` undercounts badly (CJK text by
+ * several times).
+ */
+
+const PIECE = /[\p{L}\p{M}]+|\p{N}+|\s+|[^\s\p{L}\p{M}\p{N}]+/gu;
+const ASCII = /^[\x00-\x7f]*$/;
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+// Sub-word boundaries inside identifiers: fooBar, FOOBar, foo_bar
+const SUBWORD = /[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g;
+
+/**
+ * Estimate the number of tokens in `text`.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECE)) {
+    tokens += pieceTokens(piece);
+  }
+  return tokens;
+}
+
+function pieceTokens(piece) {
+  const first = piece.codePointAt(0);
+
+  // Whitespace: a single space merges into the next word
+  if (/\s/.test(piece[0])) {
+    return piece === ' ' ? 0 : Math.ceil(piece.length / 4);
+  }
+
+  // Numbers are split into groups of up to 3 digits
+  if (/\p{N}/u.test(piece[0])) {
+    return Math.ceil(piece.length / 3);
+  }
+
+  if (/[\p{L}\p{M}]/u.test(String.fromCodePoint(first))) {
+    if (ASCII.test(piece)) {
+      const subwords = piece.match(SUBWORD) || [piece];
+      return subwords.reduce((sum, w) => sum + Math.ceil(w.length / 6), 0);
+    }
+    if (CJK.test(piece)) {
+      return [...piece].length;
+    }
+    // Other scripts and accented words: roughly one token per 4 UTF-8 bytes
+    return Math.ceil(Buffer.byteLength(piece) / 4);
+  }
+
+  // Punctuation and symbols: short ASCII runs like `=>` or `();` are 1-2
+  // tokens; emoji and other non-ASCII symbols cost about a token per 2 bytes
+  return ASCII.test(piece)
+    ? Math.ceil(piece.length / 2)
+    : Math.ceil(Buffer.byteLength(piece) / 2);
+}
+
+/**
+ * Estimate the tokens in a file, or 0 if it can't be read.
+ */
+export function estimateFileTokens(filePath) {
+  try {
+    return estimateTokens(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return 0;
+  }
+}
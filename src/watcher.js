@@ -2,15 +2,17 @@ import chokidar from 'chokidar';
 import fs from 'fs';
 import path from 'path';
 import config from './config.js';
-import { parseConversationDelta } from './parser.js';
-import { runObserver, appendObservations, exceedsThreshold } from './observer.js';
-import { runReflector } from './reflector.js';
-import { autoCommitObservations } from './git.js';
-import { loadState, saveState, getFileOffset, updateFileOffset } from './state.js';
+import { observeRange, reflectIfNeeded, runRetry, flushObservations } from './pipeline.js';
+import { countQueuedAppends } from './observer.js';
+import { schedule, isCancelled } from './scheduler.js';
+import { loadState, updateState, getFileOffset, updateFileOffset, checkFileOffset, completeLinesEnd, fileFingerprint } from './state.js';
+import { loadRetryQueue, dueRetries, enqueueRetry, discardRetries } from './retry.js';
+import { isSessionTranscript } from './parser.js';
+import { readProjects } from './projects.js';
 
 const debounceTimers = new Map();
-const processingQueue = new Map(); // prevent concurrent processing per project
 const activeWatchers = new Map(); // track watchers by project path
+const watchedProjects = new Map(); // project path -> project config, for retries
 
 /**
  * Start watching all registered projects and watch projects.json for changes.
@@ -24,6 +26,9 @@ export function startWatching(projects) {
 
   // Watch projects.json for new registrations
   watchProjectsConfig();
+
+  // Periodically re-run failed deltas whose backoff has elapsed
+  setInterval(scheduleDueRetries, config.RETRY_POLL_MS);
 }
 
 function watchProject(project) {
@@ -44,20 +49,11 @@ function watchProject(project) {
     ? Promise.resolve((() => { console.log(`[Catchup] ${project.path}: skipped (--no-catchup)`); })())
     : catchupProject(project);
 
-  catchupDone.then(async () => {
-    // Check if reflector is needed after catchup
-    const threshold = project.reflectorThreshold || config.DEFAULT_REFLECTOR_THRESHOLD;
-    if (exceedsThreshold(project.path, threshold)) {
-      console.log(`[Reflector] Threshold exceeded after catchup, consolidating...`);
-      const reflected = await runReflector(project.path);
-      if (reflected) {
-        const state = loadState(project.path);
-        state.totalReflectorPasses++;
-        state.lastReflection = new Date().toISOString();
-        saveState(project.path, state);
-        autoCommitObservations(project.path);
-      }
-    }
+  catchupDone.then(() => {
+    // Check if reflector is needed after catchup (runs in the background)
+    schedule(project.path, 'reflect after catchup', (signal) => reflectIfNeeded(project, signal)).catch(err => {
+      console.error(`[Reflector] ${project.path}:`, err.message);
+    });
 
     // Then start watching for new changes
     // Note: chokidar 4.x dropped glob support, so watch the directory and filter
@@ -72,14 +68,15 @@ function watchProject(project) {
     });
 
     watcher.on('change', (filePath) => {
-      if (filePath.endsWith('.jsonl')) debounceFile(filePath, project);
+      if (isSessionTranscript(filePath)) debounceFile(filePath, project);
     });
 
     watcher.on('add', (filePath) => {
-      if (filePath.endsWith('.jsonl')) debounceFile(filePath, project);
+      if (isSessionTranscript(filePath)) debounceFile(filePath, project);
     });
 
     activeWatchers.set(project.path, watcher);
+    watchedProjects.set(project.path, project);
     console.log(`[Watcher] Watching ${claudeDir}`);
   });
 }
@@ -98,8 +95,7 @@ function watchProjectsConfig() {
   configWatcher.on('change', () => {
     console.log('[Watcher] projects.json changed, checking for new projects...');
     try {
-      const data = JSON.parse(fs.readFileSync(config.PROJECTS_FILE, 'utf-8'));
-      const projects = data.projects || [];
+      const { projects } = readProjects();
 
       for (const project of projects) {
         if (!activeWatchers.has(project.path) && fs.existsSync(project.path)) {
@@ -129,7 +125,7 @@ function debounceFile(filePath, project) {
       return;
     }
 
-    processFile(filePath, project).catch(err => {
+    scheduleFile(filePath, project).catch(err => {
       console.error(`[Watcher] Error processing ${path.basename(filePath)}:`, err.message);
     });
   }, config.DEBOUNCE_MS));
@@ -144,7 +140,7 @@ async function catchupProject(project) {
   let files;
   try {
     files = fs.readdirSync(claudeDir)
-      .filter(f => f.endsWith('.jsonl'))
+      .filter(isSessionTranscript)
       .map(f => ({
         name: f,
         path: path.join(claudeDir, f),
@@ -152,8 +148,9 @@ async function catchupProject(project) {
       }))
       .filter(f => f.stat.size >= config.MIN_FILE_SIZE_BYTES)
       .filter(f => {
+        // A file smaller than its offset was truncated or rewritten; processFile recovers it
         const offset = getFileOffset(state, f.name);
-        return f.stat.size > offset;
+        return f.stat.size !== offset;
       })
       .sort((a, b) => b.stat.mtimeMs - a.stat.mtimeMs)
       .slice(0, config.MAX_CATCHUP_FILES);
@@ -169,89 +166,140 @@ async function catchupProject(project) {
 
   console.log(`[Catchup] ${project.path}: processing ${files.length} file(s)`);
 
-  for (const file of files) {
-    await processFile(file.path, project);
-  }
+  const jobs = files.map(file => scheduleFile(file.path, project).catch(err => {
+    console.error(`[Catchup] Error processing ${file.name}:`, err.message);
+  }));
+  await Promise.all(jobs);
+}
+
+/**
+ * Queue a conversation file for processing. Jobs for the same project run one
+ * at a time; a file already waiting in the queue is not queued twice.
+ */
+function scheduleFile(filePath, project) {
+  return schedule(project.path, `observe ${path.basename(filePath)}`, (signal) => processFile(filePath, project, signal), {
+    dedupeKey: filePath,
+  });
 }
 
-async function processFile(filePath, project) {
+async function processFile(filePath, project, signal) {
   const fileName = path.basename(filePath);
-  const projectKey = project.path;
 
-  // Prevent concurrent processing of same project
-  if (processingQueue.get(projectKey)) {
-    console.log(`[Watcher] Already processing ${projectKey}, skipping ${fileName}`);
-    return;
+  // Check file still exists and meets minimum size
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return; // File was deleted
   }
-  processingQueue.set(projectKey, true);
 
-  try {
-    // Check file still exists and meets minimum size
-    let stat;
-    try {
-      stat = fs.statSync(filePath);
-    } catch {
-      return; // File was deleted
-    }
+  if (stat.size < config.MIN_FILE_SIZE_BYTES) {
+    return;
+  }
 
-    if (stat.size < config.MIN_FILE_SIZE_BYTES) {
-      return;
-    }
+  const state = loadState(project.path);
+  const offset = recoverOffset(project, state, filePath, stat.size);
 
-    const state = loadState(project.path);
-    const offset = getFileOffset(state, fileName);
+  // Only whole lines are processed; a line still being written waits for the next change
+  const end = completeLinesEnd(filePath, offset, stat.size);
+  if (end <= offset) {
+    return; // Already processed up to this point
+  }
 
-    if (stat.size <= offset) {
-      return; // Already processed up to this point
-    }
+  console.log(`[Observer] Processing ${fileName} (offset ${offset} → ${end})`);
 
-    console.log(`[Observer] Processing ${fileName} (offset ${offset} → ${stat.size})`);
+  let result;
+  try {
+    result = await observeRange(project, filePath, offset, end, signal);
+  } catch (err) {
+    if (isCancelled(err)) throw err; // daemon shutting down — reprocess on next start
 
-    // Parse the delta
-    const { text, newOffset } = parseConversationDelta(filePath, offset);
+    // Keep the range for retry, then move on so new content still gets observed
+    console.error(`[Observer] Failed on ${fileName}, queued for retry:`, err.message);
+    enqueueRetry(project.path, fileName, offset, end, err);
+    updateState(project.path, state => {
+      updateFileOffset(state, fileName, end, 0, fileFingerprint(filePath, end));
+    });
+    return;
+  }
 
-    if (!text || text.trim().length < 100) {
-      // Too little content to be meaningful
-      updateFileOffset(state, fileName, newOffset, 0);
-      saveState(project.path, state);
-      return;
+  // Record progress before reflecting, so a cancelled Reflector pass doesn't
+  // cause this delta to be observed twice
+  updateState(project.path, state => {
+    if (result.appended) {
+      state.totalObserverPasses++;
     }
+    updateFileOffset(state, fileName, result.newOffset, result.observed ? 1 : 0, fileFingerprint(filePath, result.newOffset));
+  });
 
-    // Run Observer
-    const observations = runObserver(text);
+  if (result.appended) {
+    await reflectIfNeeded(project, signal);
+  }
 
-    if (observations) {
-      // Extract session ID from filename (first part before any dash)
-      const sessionId = fileName.replace('.jsonl', '').slice(0, 8);
+  // The delta was too large for one parse: observe the rest in a new job
+  if (!result.complete && result.newOffset > offset) {
+    console.log(`[Observer] ${fileName}: delta capped at offset ${result.newOffset}, rest queued`);
+    scheduleFile(filePath, project).catch(err => {
+      if (isCancelled(err)) return;
+      console.error(`[Watcher] Error processing ${fileName}:`, err.message);
+    });
+  }
+}
 
-      const appended = await appendObservations(project.path, observations, sessionId);
+/**
+ * Check that a file still holds what was processed up to its offset, and
+ * recover if not (see checkFileOffset). A truncated file resumes at its new
+ * end; a rewritten file is observed again from the start, its stale retry
+ * ranges are dropped, and duplicate observations are skipped as usual.
+ * Returns the offset to continue from.
+ */
+function recoverOffset(project, state, filePath, size) {
+  const fileName = path.basename(filePath);
+  const { offset, recovery } = checkFileOffset(state, fileName, filePath, size);
+  if (!recovery) return offset;
+
+  if (recovery === 'truncated') {
+    console.warn(`[Observer] ${fileName} was truncated below offset ${getFileOffset(state, fileName)}, resuming at ${offset}`);
+  } else {
+    const dropped = discardRetries(project.path, fileName);
+    console.warn(`[Observer] ${fileName} was rewritten, observing it again from the start${dropped > 0 ? ` (dropped ${dropped} stale retry range(s))` : ''}`);
+  }
 
-      if (appended) {
-        state.totalObserverPasses++;
-        console.log(`[Observer] Appended observations for ${fileName}`);
+  updateState(project.path, current => {
+    updateFileOffset(current, fileName, offset, 0, fileFingerprint(filePath, offset));
+  });
+  return offset;
+}
 
-        // Auto-commit
-        autoCommitObservations(project.path);
+/**
+ * Queue retry jobs for every watched project's failed deltas that are due,
+ * and for observations that were queued while OBSERVATIONS.md was locked.
+ */
+function scheduleDueRetries() {
+  for (const project of watchedProjects.values()) {
+    if (countQueuedAppends(project.path) > 0) {
+      schedule(project.path, 'append queued observations', () => flushObservations(project), {
+        dedupeKey: 'queued-appends',
+      }).catch(err => {
+        console.error(`[Observer] ${project.path}: failed to append queued observations:`, err.message);
+      });
+    }
 
-        // Check if Reflector needed
-        const threshold = project.reflectorThreshold || config.DEFAULT_REFLECTOR_THRESHOLD;
-        if (exceedsThreshold(project.path, threshold)) {
-          console.log(`[Reflector] Threshold exceeded, consolidating...`);
-          const reflected = await runReflector(project.path);
-          if (reflected) {
-            state.totalReflectorPasses++;
-            state.lastReflection = new Date().toISOString();
-            autoCommitObservations(project.path);
-          }
-        }
-      }
-    } else {
-      console.log(`[Observer] No observations for ${fileName}`);
+    let due;
+    try {
+      due = dueRetries(loadRetryQueue(project.path));
+    } catch (err) {
+      console.error(`[Retry] ${project.path}:`, err.message);
+      continue;
     }
 
-    updateFileOffset(state, fileName, newOffset, observations ? 1 : 0);
-    saveState(project.path, state);
-  } finally {
-    processingQueue.set(projectKey, false);
+    for (const entry of due) {
+      const label = `retry ${entry.file} (${entry.fromOffset}–${entry.toOffset})`;
+      schedule(project.path, label, (signal) => runRetry(project, entry, signal), {
+        dedupeKey: `retry:${entry.file}:${entry.fromOffset}`,
+      }).catch(err => {
+        console.error(`[Retry] ${label}:`, err.message);
+      });
+    }
   }
 }
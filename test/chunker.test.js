@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkSegments } from '../src/chunker.js';
+import { estimateTokens } from '../src/tokens.js';
+
+// Segments of roughly `words` tokens each, laid out back to back in the file
+function segments(count, words = 10) {
+  let offset = 0;
+  return Array.from({ length: count }, (_, i) => {
+    const text = Array.from({ length: words }, () => `word${i}`).join(' ');
+    const segment = { text, start: offset, end: offset + 100, uuids: [`u${i}`], timestamp: `2026-01-01T00:00:0${i % 10}Z` };
+    offset += 100;
+    return segment;
+  });
+}
+
+test('returns no chunks for no segments', () => {
+  assert.deepEqual(chunkSegments([]), []);
+});
+
+test('keeps small input in one chunk covering every segment', () => {
+  const input = segments(3);
+  const chunks = chunkSegments(input, 1000, 0);
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].text, input.map(s => s.text).join('\n'));
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks[0].end, 300);
+  assert.deepEqual(chunks[0].uuids, ['u0', 'u1', 'u2']);
+  assert.equal(chunks[0].timestamp, input[0].timestamp);
+});
+
+test('splits on segment boundaries within the token budget', () => {
+  const input = segments(10);
+  const perSegment = estimateTokens(input[0].text);
+  const chunks = chunkSegments(input, perSegment * 3, 0);
+
+  // Three segments fit the budget (the newlines joining them aren't counted)
+  assert.equal(chunks.length, 4);
+  assert.deepEqual(chunks.map(c => c.uuids.length), [3, 3, 3, 1]);
+  // Without overlap every segment is in exactly one chunk
+  assert.deepEqual(chunks.flatMap(c => c.uuids), input.map(s => s.uuids[0]));
+});
+
+test('starts each later chunk with the tail of the previous one', () => {
+  const input = segments(6);
+  const perSegment = estimateTokens(input[0].text);
+  const chunks = chunkSegments(input, perSegment * 3, perSegment);
+
+  assert.ok(chunks.length > 1);
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = chunks[i - 1].uuids;
+    assert.equal(chunks[i].uuids[0], previous[previous.length - 1]);
+  }
+  assert.equal(chunks[chunks.length - 1].uuids.at(-1), 'u5');
+});
+
+test('splits a segment larger than the budget on line boundaries', () => {
+  const text = Array.from({ length: 40 }, (_, i) => `line ${i} with a few words in it`).join('\n');
+  const chunks = chunkSegments([{ text, start: 0, end: 500, uuids: ['big'], timestamp: null }], 50, 0);
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.map(c => c.text).join('\n'), text);
+  for (const chunk of chunks) {
+    assert.ok(estimateTokens(chunk.text) <= 50);
+    assert.deepEqual(chunk.uuids, ['big']);
+  }
+});
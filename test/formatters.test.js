@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import config from '../src/config.js';
+import { loadFormatters } from '../src/formatters.js';
+import { useTempHome, makeProject, quietly } from './helpers.js';
+
+const home = useTempHome();
+
+function writePlugin(dir, name, pattern, label) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), `export default ({ tool }) => tool(${JSON.stringify(pattern)}, { summarize: () => ${JSON.stringify(label)} });\n`);
+}
+
+const project = makeProject(home, 'plugins');
+writePlugin(config.FORMATTERS_DIR, 'global.js', 'deploy', 'global');
+writePlugin(path.join(project, config.PROJECT_FORMATTERS_DIR), 'local.js', 'deploy', 'local');
+
+test('loads project plugins only when the project opts in', async () => {
+  const global = await loadFormatters({ path: project });
+  assert.deepEqual(global.map(f => f.summarize()), ['global']);
+
+  const both = await loadFormatters({ path: project, projectFormatters: true });
+  assert.deepEqual(both.map(f => f.summarize()), ['local', 'global']);
+});
+
+test('re-imports a changed module up to MAX_FORMATTER_RELOADS times', async () => {
+  const limit = config.MAX_FORMATTER_RELOADS;
+  config.MAX_FORMATTER_RELOADS = 1;
+  try {
+    const file = 'reloaded.js';
+    writePlugin(config.FORMATTERS_DIR, file, 'build', 'v1');
+    const labels = async () => (await loadFormatters({ path: project })).filter(f => f.source.endsWith(file)).map(f => f.summarize());
+
+    assert.deepEqual(await labels(), ['v1']);
+    writePlugin(config.FORMATTERS_DIR, file, 'build', 'v2');
+    assert.deepEqual(await labels(), ['v2']);
+    writePlugin(config.FORMATTERS_DIR, file, 'build', 'v3');
+    const { result, messages } = await quietly(labels);
+    assert.deepEqual(result, ['v2']);
+    assert.match(messages.join('\n'), /restart the daemon/);
+  } finally {
+    config.MAX_FORMATTER_RELOADS = limit;
+  }
+});
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after } from 'node:test';
+import config from '../src/config.js';
+
+/**
+ * A fresh temp directory, removed when the test file finishes.
+ */
+export function tempDir(prefix = 'claude-memory-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Point the daemon's global paths (~/.claude-memory, ~/.claude/projects) at
+ * a temp directory for the rest of the test file. Returns it.
+ */
+export function useTempHome() {
+  const home = tempDir();
+  const daemonDir = path.join(home, '.claude-memory');
+  Object.assign(config, {
+    DAEMON_DIR: daemonDir,
+    PID_FILE: path.join(daemonDir, 'daemon.pid'),
+    LOG_FILE: path.join(daemonDir, 'daemon.log'),
+    PROJECTS_FILE: path.join(daemonDir, 'projects.json'),
+    STATE_DIR: path.join(daemonDir, 'state'),
+    FORMATTERS_DIR: path.join(daemonDir, 'formatters'),
+    CLAUDE_PROJECTS_DIR: path.join(home, '.claude', 'projects'),
+  });
+  return home;
+}
+
+/**
+ * Create an empty project directory under `home`.
+ */
+export function makeProject(home, name = 'project') {
+  const dir = path.join(home, name);
+  fs.mkdirSync(path.join(dir, '.claude'), { recursive: true });
+  return dir;
+}
+
+/**
+ * Write JSONL conversation entries to a file and return its path.
+ */
+export function writeTranscript(filePath, entries) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+  return filePath;
+}
+
+/**
+ * Run `fn` with console.log/warn/error silenced, returning what it returns
+ * and the messages it printed.
+ */
+export async function quietly(fn) {
+  const messages = [];
+  const saved = { log: console.log, warn: console.warn, error: console.error };
+  for (const level of Object.keys(saved)) {
+    console[level] = (...args) => messages.push(args.join(' '));
+  }
+  try {
+    return { result: await fn(), messages };
+  } finally {
+    Object.assign(console, saved);
+  }
+}
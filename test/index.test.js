@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import config from '../src/config.js';
+import { stateDir, STATE_SCHEMA_VERSION } from '../src/state.js';
+import { useTempHome, makeProject } from './helpers.js';
+
+const home = useTempHome();
+const cli = path.join(import.meta.dirname, '..', 'src', 'index.js');
+
+function run(...args) {
+  return spawnSync(process.execPath, [cli, ...args], { env: { ...process.env, HOME: home }, encoding: 'utf-8', timeout: 30_000 });
+}
+
+function writeState(project, state) {
+  const file = path.join(stateDir(project), 'observer-state.json');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state));
+  return file;
+}
+
+const good = makeProject(home, 'good');
+const broken = makeProject(home, 'broken');
+fs.mkdirSync(config.DAEMON_DIR, { recursive: true });
+fs.writeFileSync(config.PROJECTS_FILE, JSON.stringify({
+  projects: [good, broken].map(p => ({ path: p, claudeProjectDir: p.replace(/\//g, '-'), registeredAt: null })),
+}));
+const goodState = writeState(good, { files: { 'a.jsonl': { offset: 10 } } });
+writeState(broken, { version: 1, files: { 'a.jsonl': { offset: 'ten' } } });
+
+test('read-only commands ignore a broken state file and migrate nothing', () => {
+  const list = run('list');
+  assert.equal(list.status, 0, list.stderr);
+  assert.match(list.stdout, /good/);
+  assert.match(list.stdout, /broken/);
+  assert.equal(JSON.parse(fs.readFileSync(goodState, 'utf-8')).version, undefined);
+});
+
+test('status reports a broken state file under its project and shows the others', () => {
+  const status = run('status');
+  assert.equal(status.status, 0, status.stderr);
+  assert.match(status.stdout, new RegExp(`${good}\\n {4}Files processed: 1`));
+  assert.match(status.stdout, new RegExp(`${broken}\\n {4}Can't read its state: .*observer-state\\.json is invalid`));
+});
+
+test('migrate upgrades the other projects and reports the broken one', () => {
+  const migrate = run('migrate');
+  assert.equal(migrate.status, 1);
+  assert.match(migrate.stdout, new RegExp(`Upgraded state of ${good} from schema version 0`));
+  assert.match(migrate.stderr, /\[Migrate\] .*observer-state\.json is invalid/);
+  assert.equal(JSON.parse(fs.readFileSync(goodState, 'utf-8')).version, STATE_SCHEMA_VERSION);
+});
+
+test('a writing command refuses only the project whose state is broken', () => {
+  const seal = run('seal', broken);
+  assert.equal(seal.status, 1);
+  assert.match(seal.stderr, /observer-state\.json is invalid/);
+  assert.equal(run('config', 'set', 'skip-catchup', 'true', '--project', good).status, 0);
+});
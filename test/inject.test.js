@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens } from '../src/tokens.js';
+import { buildInjection } from '../src/inject.js';
+import { normalizeRecord, saveRecords, setMemoryLayout } from '../src/records.js';
+import { useTempHome, makeProject, quietly } from './helpers.js';
+
+const home = useTempHome();
+
+test('estimates tokens by kind of text', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('hello world'), 2);
+  assert.equal(estimateTokens('getUserName'), 3);
+  assert.equal(estimateTokens('123456'), 2);
+  assert.equal(estimateTokens('日本語'), 3);
+  // Code and symbols cost more than chars / 4
+  assert.ok(estimateTokens('if (a !== b) { return; }') > 24 / 4);
+});
+
+function records(count) {
+  return Array.from({ length: count }, (_, i) => normalizeRecord({
+    category: 'gotcha',
+    topic: i % 2 ? 'auth' : 'build',
+    statement: `Observation number ${i} about something specific in the project`,
+    confidence: i < 3 ? 'high' : 'low',
+  }, { sessionId: 's1', createdAt: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString() }));
+}
+
+test('returns null for a project without memory', () => {
+  assert.equal(buildInjection(makeProject(home, 'empty'), 1000), null);
+});
+
+test('injects the whole memory when it fits', async () => {
+  const project = makeProject(home, 'fits');
+  await quietly(() => saveRecords(project, records(5), { kind: 'observer' }));
+
+  const injection = buildInjection(project, 10000);
+  assert.equal(injection.included, 5);
+  assert.equal(injection.total, 5);
+  assert.match(injection.text, /^# Observations/);
+  assert.doesNotMatch(injection.text, /omitted/);
+});
+
+test('keeps high-confidence records first when over budget', async () => {
+  const project = makeProject(home, 'over-budget');
+  await quietly(() => saveRecords(project, records(40), { kind: 'observer' }));
+
+  const injection = buildInjection(project, 150);
+  assert.ok(injection.included >= 3 && injection.included < 40);
+  assert.ok(injection.tokens <= 150);
+  for (let i = 0; i < 3; i++) {
+    assert.match(injection.text, new RegExp(`Observation number ${i} `));
+  }
+  assert.match(injection.text, new RegExp(`_${40 - injection.included} lower-priority observation\\(s\\) omitted`));
+});
+
+test('leads with the topic index in the topic layout', async () => {
+  const project = makeProject(home, 'topics');
+  await quietly(() => saveRecords(project, records(40), { kind: 'observer' }));
+  await quietly(() => setMemoryLayout(project, 'topics'));
+
+  const injection = buildInjection(project, 250);
+  assert.ok(injection.tokens <= 250);
+  assert.match(injection.text, /^# Memory index/);
+  assert.match(injection.text, /\.claude\/memory\/<topic>\.md/);
+});
+
+test('stays within the budget with many topics, trimming the index', async () => {
+  const project = makeProject(home, 'many-topics');
+  const many = records(60).map((r, i) => ({ ...r, topic: `topic-${i % 12}` }));
+  await quietly(() => saveRecords(project, many, { kind: 'observer' }));
+  await quietly(() => setMemoryLayout(project, 'topics'));
+
+  for (const budget of [250, 500, 1000]) {
+    const injection = buildInjection(project, budget);
+    assert.ok(injection.tokens <= budget, `${injection.tokens} tokens for a budget of ${budget}`);
+    assert.match(injection.text, /^# Memory index/);
+  }
+  assert.match(buildInjection(project, 250).text, /more topic\(s\) in \.claude\/memory\//);
+  assert.ok(buildInjection(project, 1000).included > 0);
+});
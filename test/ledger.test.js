@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { diffRecords, appendLedger, readLedger, replayLedger, hasLedger, recordHistory } from '../src/ledger.js';
+import { normalizeRecord } from '../src/records.js';
+import { stateDir } from '../src/state.js';
+import { useTempHome, makeProject, quietly } from './helpers.js';
+
+const home = useTempHome();
+
+function record(statement, extra = {}) {
+  return normalizeRecord({ category: 'decision', statement, ...extra }, { sessionId: 's1' });
+}
+
+const ops = events => events.map(e => e.op);
+
+test('diffs records into add, supersede, merge and delete events', () => {
+  const a = record('A');
+  const b = record('B');
+  const c = record('C');
+  const d = record('D');
+
+  const revisedA = { ...a, statement: 'A, revised' };
+  const merged = record('B and C');
+  const added = record('E');
+  const events = diffRecords([a, b, c, d], [revisedA, merged, added], new Map([[merged.id, [b.id, c.id]]]));
+
+  assert.deepEqual(events.map(e => [e.op, e.from, e.record?.id ?? e.id]), [
+    ['supersede', [a.id], a.id],
+    ['merge', [b.id, c.id], merged.id],
+    ['add', undefined, added.id],
+    ['delete', undefined, d.id],
+  ]);
+});
+
+test('does not retire a source that is kept as well', () => {
+  const a = record('A');
+  const b = record('B');
+  const split = record('Part of A');
+  const events = diffRecords([a, b], [a, split], new Map([[split.id, [a.id]]]));
+  assert.deepEqual(ops(events), ['add', 'delete']);
+});
+
+test('records nothing when nothing changed', () => {
+  const records = [record('A'), record('B')];
+  assert.deepEqual(diffRecords(records, structuredClone(records)), []);
+});
+
+test('replays the ledger into the current records, in order', () => {
+  const project = makeProject(home, 'replay');
+  assert.equal(hasLedger(project), false);
+  assert.equal(replayLedger(project), null);
+
+  const a = record('A');
+  const b = record('B');
+  const c = record('C');
+  appendLedger(project, diffRecords([], [a, b, c]), { kind: 'observer' });
+  const revisedA = { ...a, statement: 'A2' };
+  const merged = record('B+C');
+  appendLedger(project, diffRecords([a, b, c], [revisedA, merged], new Map([[merged.id, [b.id, c.id]]])), { kind: 'reflector' });
+
+  assert.deepEqual(replayLedger(project), [revisedA, merged]);
+
+  // Callers get copies, not the cached records
+  replayLedger(project)[0].statement = 'changed';
+  assert.equal(replayLedger(project)[0].statement, 'A2');
+
+  const events = readLedger(project);
+  assert.equal(events.length, 5);
+  assert.equal(new Set(events.slice(0, 3).map(e => e.pass.id)).size, 1);
+  assert.equal(events[3].pass.kind, 'reflector');
+});
+
+test('skips a torn line and starts the next write on a fresh line', async () => {
+  const project = makeProject(home, 'torn');
+  const a = record('A');
+  appendLedger(project, diffRecords([], [a]), { kind: 'observer' });
+  fs.appendFileSync(path.join(stateDir(project), 'ledger.jsonl'), '{"at":"2026-');
+
+  const b = record('B');
+  appendLedger(project, diffRecords([a], [a, b]), { kind: 'observer' });
+
+  const { result, messages } = await quietly(() => replayLedger(project));
+  assert.deepEqual(result.map(r => r.statement), ['A', 'B']);
+  assert.match(messages[0], /Skipping unreadable line/);
+});
+
+test('traces a record back to its sources and forward to what replaced it', () => {
+  const a = record('A');
+  const b = record('B');
+  const unrelated = record('X');
+  const merged = record('A+B');
+  const later = record('A+B, reworded');
+
+  const events = [
+    ...diffRecords([], [a, b, unrelated]),
+    ...diffRecords([a, b, unrelated], [merged, unrelated], new Map([[merged.id, [a.id, b.id]]])),
+    ...diffRecords([merged, unrelated], [later, unrelated], new Map([[later.id, [merged.id]]])),
+  ];
+
+  // A source's history runs forward to the records derived from it
+  assert.deepEqual(recordHistory(events, a.id).map(e => e.op), ['add', 'merge', 'supersede']);
+
+  // The latest record's history runs back through every source
+  const history = recordHistory(events, later.id);
+  assert.deepEqual(history.map(e => e.op), ['add', 'add', 'merge', 'supersede']);
+  assert.ok(!history.some(e => e.record?.id === unrelated.id));
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { runObserver, appendObservations } from '../src/observer.js';
+import { loadRecords } from '../src/records.js';
+import { readLedger } from '../src/ledger.js';
+import { useTempHome, makeProject, quietly } from './helpers.js';
+
+const home = useTempHome();
+
+const mock = (...responses) => ({ type: 'mock', responses });
+const wrap = records => `<observation_file_contents>\n${JSON.stringify(records)}\n</observation_file_contents>`;
+
+test('returns the records the Observer emits', async () => {
+  const records = [{ category: 'decision', statement: 'Use pnpm, not npm', files: [], confidence: 'high' }];
+  assert.deepEqual(await runObserver('[User]: use pnpm', mock(wrap(records))), records);
+});
+
+test('returns null for NO_OBSERVATIONS and for no conversation', async () => {
+  assert.equal(await runObserver('[User]: hi', mock('NO_OBSERVATIONS')), null);
+  assert.equal(await runObserver('  ', mock(wrap([]))), null);
+});
+
+test('returns null for an explicit empty array', async () => {
+  assert.equal(await runObserver('[User]: hi', mock(wrap([]))), null);
+});
+
+test('throws when the backend fails or says nothing', async () => {
+  await assert.rejects(runObserver('[User]: hi', { type: 'nope' }), /Unknown backend type/);
+  await assert.rejects(runObserver('[User]: hi', mock('   ')), /returned an empty response/);
+});
+
+test('throws on output that holds no valid record, so the range is retried', async () => {
+  await assert.rejects(runObserver('[User]: hi', mock('<observation_file_contents>[{"category": "decision", "statem')), /returned no valid observation records/);
+  await assert.rejects(runObserver('[User]: hi', mock('I looked at the conversation but will not answer in JSON.')), /returned no valid observation records/);
+  await quietly(() => assert.rejects(runObserver('[User]: hi', mock(wrap([{ category: 'bogus', statement: 'x' }]))), /returned no valid observation records/));
+});
+
+test('adds new observations and skips ones already recorded', async () => {
+  const project = makeProject(home, 'append');
+  const first = [{ category: 'gotcha', statement: 'Port 3000 is taken by Grafana', files: [], confidence: 'high' }];
+  const { result: added } = await quietly(() => appendObservations(project, first, 'session1'));
+  assert.equal(added, true);
+
+  const again = [
+    { category: 'gotcha', statement: 'port 3000 is taken by grafana.', files: [], confidence: 'high' },
+    { category: 'decision', statement: 'Serve the app on 3001', files: [], confidence: 'high' },
+  ];
+  await quietly(() => appendObservations(project, again, 'session2'));
+
+  const records = loadRecords(project);
+  assert.deepEqual(records.map(r => [r.statement, r.sessionId]), [['Port 3000 is taken by Grafana', 'session1'], ['Serve the app on 3001', 'session2']]);
+  assert.match(fs.readFileSync(path.join(project, 'OBSERVATIONS.md'), 'utf-8'), /- Serve the app on 3001/);
+  assert.deepEqual(readLedger(project).map(e => [e.op, e.pass.kind]), [['add', 'observer'], ['add', 'observer']]);
+});
+
+test('records a hand edit once, as a manual edit, however many appends follow', async () => {
+  const project = makeProject(home, 'hand-edit');
+  const observation = statement => [{ category: 'gotcha', statement, files: [], confidence: 'high' }];
+  await quietly(() => appendObservations(project, observation('First'), 'session1'));
+  fs.appendFileSync(path.join(project, 'OBSERVATIONS.md'), '- my manual   note here\n');
+
+  await quietly(() => appendObservations(project, observation('Second'), 'session2'));
+  await quietly(() => appendObservations(project, observation('Third'), 'session3'));
+
+  const events = readLedger(project).map(e => [e.op, e.pass.kind, e.record?.statement]);
+  assert.deepEqual(events, [
+    ['add', 'observer', 'First'],
+    ['add', 'manual-edit', 'my manual note here'],
+    ['add', 'observer', 'Second'],
+    ['add', 'observer', 'Third'],
+  ]);
+});
@@ -0,0 +1,219 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import config from '../src/config.js';
+import { parseConversationDelta, formatSessionHeader, isSessionTranscript } from '../src/parser.js';
+import { tempDir, writeTranscript } from './helpers.js';
+
+const dir = tempDir();
+let files = 0;
+let ids = 0;
+
+function transcript(entries) {
+  return writeTranscript(path.join(dir, `session-${++files}.jsonl`), entries);
+}
+
+function parse(entries, opts = {}) {
+  return parseConversationDelta(transcript(entries), 0, null, opts);
+}
+
+// Conversation entries as Claude Code writes them
+const meta = { gitBranch: 'main', cwd: '/home/me/app', timestamp: '2026-01-01T10:00:00.000Z' };
+const user = (text, extra = {}) => ({ type: 'user', uuid: `u${++ids}`, ...meta, message: { role: 'user', content: text }, ...extra });
+const say = (text) => ({ type: 'assistant', uuid: `u${++ids}`, ...meta, message: { id: `m${ids}`, model: 'claude-test', content: [{ type: 'text', text }] } });
+const call = (name, input, id = `t${++ids}`) => ({ type: 'assistant', uuid: `u${++ids}`, ...meta, message: { id: `m${ids}`, model: 'claude-test', content: [{ type: 'tool_use', id, name, input }] } });
+const result = (id, content, isError = false) => ({ type: 'user', uuid: `u${++ids}`, ...meta, message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content, is_error: isError }] } });
+
+test('formats messages, tool calls and results', () => {
+  const { text, segments, uuids, complete } = parse([
+    user('Add a health check endpoint'),
+    say('Looking at the routes.'),
+    call('Bash', { command: 'npm test' }, 'b1'),
+    result('b1', 'all tests passed'),
+  ]);
+  assert.equal(text, '[User]: Add a health check endpoint\n[Assistant]: Looking at the routes.\n[Tool: Bash] npm test\n[Tool Result]: all tests passed');
+  assert.equal(segments.length, 4);
+  assert.equal(uuids.length, 4);
+  assert.equal(complete, true);
+});
+
+test('leaves a partial last line for the next pass', () => {
+  const file = transcript([user('First message')]);
+  const size = fs.statSync(file).size;
+  fs.appendFileSync(file, '{"type":"user","message":{"content":"Still being wri');
+
+  const { text, newOffset } = parseConversationDelta(file, 0);
+  assert.equal(text, '[User]: First message');
+  assert.equal(newOffset, size);
+});
+
+test('stops at a message boundary once maxChars is reached', () => {
+  const entries = Array.from({ length: 10 }, (_, i) => user(`Message number ${i}`));
+  const { segments, newOffset, complete } = parse(entries, { maxChars: 50 });
+  assert.equal(complete, false);
+  assert.ok(segments.length < 10);
+  assert.equal(newOffset, segments[segments.length - 1].end);
+});
+
+test('redacts secrets before formatting', () => {
+  const { text } = parse([call('Bash', { command: 'DB_PASSWORD=hunter2 npm start' }, 'b1'), result('b1', 'ok')]);
+  assert.match(text, /DB_PASSWORD=\[REDACTED:env-secret\] npm start/);
+  assert.doesNotMatch(text, /hunter2/);
+});
+
+test('compresses a retry chain and says how it ended', () => {
+  const { text } = parse([
+    call('Bash', { command: 'npm run build' }, 'b1'),
+    result('b1', 'Error: Cannot find module webpack', true),
+    say('Installing webpack first.'),
+    call('Bash', { command: 'npm run build --prefix web' }, 'b2'),
+    result('b2', 'Error: Cannot find module webpack', true),
+    call('Bash', { command: 'npm install && npm run build' }, 'b3'),
+    result('b3', 'built in 2s'),
+  ]);
+  assert.match(text, /^\[Retry chain: Bash x2 failed → succeeded with changed input\]\n {2}First: npm run build\n {2}Last: npm run build --prefix web\n {2}Error: Error: Cannot find module webpack\n {2}Worked: npm install && npm run build/);
+});
+
+test('collapses a run of reads into one summary', () => {
+  const { text } = parse([
+    call('Read', { file_path: 'src/a.js' }, 'r1'),
+    result('r1', 'export const a = 1;'),
+    call('Read', { file_path: 'src/b.js' }, 'r2'),
+    result('r2', 'export const b = 2;'),
+    call('Read', { file_path: 'src/a.js' }, 'r3'),
+    result('r3', 'export const a = 1;'),
+    call('Read', { file_path: 'src/c.js' }, 'r4'),
+    result('r4', 'export const c = 3;'),
+    say('Done reading.'),
+  ]);
+  const [summary] = text.split('\n[Assistant]');
+  assert.equal(summary, [
+    '[Explored 3 files under src/ via Read, 1 re-read]',
+    '  a.js (x2), b.js, c.js',
+    '  a.js: export const a = 1;',
+    '  b.js: export const b = 2;',
+    '  c.js: export const c = 3;',
+  ].join('\n'));
+});
+
+test('keeps the first and last result of a path read again', () => {
+  const { text } = parse([
+    call('Read', { file_path: 'src/config.js' }, 'r1'),
+    result('r1', 'export const port = 3000;'),
+    call('Read', { file_path: 'src/app.js' }, 'r2'),
+    result('r2', 'import config'),
+    call('Read', { file_path: 'src/config.js' }, 'r3'),
+    result('r3', 'export const port = 3001;'),
+  ]);
+  assert.match(text, /\n {2}config\.js: export const port = 3000; → export const port = 3001;\n {2}app\.js: import config$/);
+});
+
+test('caps the result snippets of a run', () => {
+  const entries = Array.from({ length: config.RUN_RESULT_SNIPPETS + 2 }, (_, i) => [
+    call('Read', { file_path: `lib/f${i}.js` }, `r${i}`),
+    result(`r${i}`, `file ${i}`),
+  ]).flat();
+  const { text } = parse(entries);
+  const lines = text.split('\n');
+  assert.equal(lines.length, 2 + config.RUN_RESULT_SNIPPETS + 1);
+  assert.equal(lines[2], '  f0.js: file 0');
+  assert.equal(lines[lines.length - 1], '  +2 more');
+});
+
+test('tags rejections, interruptions and corrections', () => {
+  const { text, metadata } = parse([
+    user('Clean up the build'),
+    call('Bash', { command: 'rm -rf dist' }, 'b1'),
+    result('b1', "The user doesn't want to proceed with this tool use. The tool use was rejected. To tell you how to proceed, the user said: use npm run clean instead", true),
+    call('Bash', { command: 'npm run clean' }, 'b2'),
+    result('b2', 'cleaned'),
+    say('Cleaned. Should I also reset the cache?'),
+    user('No, leave the cache alone'),
+    say('OK.'),
+    user('[Request interrupted by user]'),
+  ]);
+  assert.match(text, /\[Tool: Bash\] rm -rf dist\n\[User rejected Bash\]\n\[User correction\]: use npm run clean instead/);
+  assert.match(text, /\[User correction\]: No, leave the cache alone/);
+  assert.match(text, /\[User interrupted\]/);
+  assert.equal(metadata.rejections, 1);
+  assert.equal(metadata.corrections, 1);
+  assert.equal(metadata.interruptions, 1);
+});
+
+test('does not count a follow-up request as a correction', () => {
+  const { text, metadata } = parse([user('Add a login form'), say('Added it.'), user('Now add a logout button')]);
+  assert.match(text, /\[User\]: Now add a logout button/);
+  assert.equal(metadata.corrections, 0);
+});
+
+test('counts "actually", "wait" and the like only with a negation', () => {
+  const turn = text => [say('Added the form.'), user(text)];
+  const { metadata: followUps } = parse([
+    user('Add a login form'),
+    ...turn('Actually, also add tests'),
+    ...turn('Wait for the build, then deploy'),
+    ...turn('Stop the dev server when done'),
+    ...turn('Never use var in this repo'),
+  ]);
+  assert.equal(followUps.corrections, 0);
+
+  const { metadata: pushback } = parse([
+    user('Add a login form'),
+    ...turn("Actually, don't mock the database"),
+    ...turn("Wait, that's not what I asked"),
+    ...turn('Instead of npm, use pnpm'),
+  ]);
+  assert.equal(pushback.corrections, 3);
+});
+
+test('collects session metadata for the Observer header', () => {
+  const { metadata } = parse([
+    user('Start', { timestamp: '2026-01-01T10:00:00.000Z', version: '2.0.1' }),
+    say('Working on it.'),
+    user('Switching', { gitBranch: 'feature/x', cwd: '/home/me/app/web', timestamp: '2026-01-01T11:30:00.000Z' }),
+  ]);
+  assert.equal(formatSessionHeader(metadata, '/home/me/app'), [
+    'Branch: main → feature/x',
+    'Directory: web',
+    'Time: 2026-01-01 10:00 → 11:30 UTC (1h 30m)',
+    'Model: claude-test',
+    'User messages: 2',
+    'Claude Code version: 2.0.1',
+  ].join('\n'));
+});
+
+test('uses formatter plugins for tool summaries and results', () => {
+  const formatters = [{
+    pattern: /^deploy$/i,
+    summarize: input => `${input.service} → ${input.env}`,
+    result: content => content.split('\n').pop(),
+    source: 'test',
+  }];
+  const { text } = parse([call('Deploy', { service: 'api', env: 'prod' }, 'd1'), result('d1', 'step 1\nstep 2\ndeployed v42')], { formatters });
+  assert.equal(text, '[Tool: Deploy] api → prod\n[Tool Result]: deployed v42');
+});
+
+test('caps a built-in summary at a plugin\'s maxSummaryChars', () => {
+  const formatters = [{ pattern: /^bash$/i, maxSummaryChars: 12, source: 'test' }];
+  const { text } = parse([call('Bash', { command: 'npm run build -- --watch' }, 'b1'), result('b1', 'ok')], { formatters });
+  assert.match(text, /^\[Tool: Bash\] npm run bui…\n/);
+});
+
+test('formats only the head of a long subagent transcript', () => {
+  writeTranscript(path.join(dir, 'agent-long.jsonl'), Array.from({ length: 200 }, (_, i) => say(`Subagent step ${i}: ${'checked another file. '.repeat(20)}`)));
+  const { text } = parse([
+    call('Task', { description: 'Audit the code', prompt: 'Audit it' }, 'a1'),
+    { ...result('a1', 'Audit done'), toolUseResult: { agentId: 'long' } },
+  ]);
+  assert.match(text, /\[Subagent transcript: Audit the code\]\n {2}\| \[Assistant\]: Subagent step 0:/);
+  assert.match(text, /rest of the transcript omitted\]\n\[End subagent transcript\]\n\[Subagent result: Audit the code\]: Audit done/);
+  assert.doesNotMatch(text, /Subagent step 199:/);
+  assert.ok(text.length < config.MAX_SUBAGENT_TRANSCRIPT_CHARS * 1.2);
+});
+
+test('recognizes session transcripts', () => {
+  assert.equal(isSessionTranscript('abc.jsonl'), true);
+  assert.equal(isSessionTranscript('agent-abc.jsonl'), false);
+  assert.equal(isSessionTranscript('notes.txt'), false);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import config from '../src/config.js';
+import { runRetry, reflectIfNeeded } from '../src/pipeline.js';
+import { enqueueRetry, loadRetryQueue } from '../src/retry.js';
+import { readLedger } from '../src/ledger.js';
+import { normalizeRecord, saveRecords, setMemoryLayout } from '../src/records.js';
+import { useTempHome, makeProject, writeTranscript, quietly } from './helpers.js';
+
+const home = useTempHome();
+
+function setup(name) {
+  const projectPath = makeProject(home, name);
+  const project = {
+    path: projectPath,
+    claudeProjectDir: name,
+    reflectorThreshold: 1000000,
+    observerBackend: { type: 'mock', responses: [`<observation_file_contents>[{"category":"decision","statement":"${name}: use pnpm","confidence":"high"}]</observation_file_contents>`] },
+  };
+  const text = 'We should use pnpm for this workspace because npm keeps breaking the lockfile. '.repeat(3);
+  writeTranscript(path.join(config.CLAUDE_PROJECTS_DIR, name, 'session.jsonl'), [
+    { type: 'user', uuid: 'u1', message: { content: text } },
+    { type: 'assistant', uuid: 'u2', message: { content: [{ type: 'text', text: 'Switching to pnpm.' }] } },
+  ]);
+  return project;
+}
+
+test('observes a queued range and settles it', async () => {
+  const project = setup('retry-once');
+  enqueueRetry(project.path, 'session.jsonl', 0, null, new Error('backend down'));
+  const [entry] = loadRetryQueue(project.path).pending;
+
+  const { result } = await quietly(() => runRetry(project, entry));
+  assert.equal(result, true);
+  assert.equal(loadRetryQueue(project.path).pending.length, 0);
+  assert.equal(readLedger(project.path).length, 1);
+});
+
+test('skips a range that was retried after it was queued again', async () => {
+  const project = setup('retry-twice');
+  enqueueRetry(project.path, 'session.jsonl', 0, null, new Error('backend down'));
+  const [entry] = loadRetryQueue(project.path).pending;
+
+  // Two jobs for the same entry, the second queued while the first ran
+  await quietly(() => runRetry(project, entry));
+  const { result, messages } = await quietly(() => runRetry(project, entry));
+  assert.equal(result, false);
+  assert.ok(messages.some(m => /was already retried, skipping/.test(m)));
+  assert.equal(readLedger(project.path).length, 1);
+});
+
+test('does not reflect past the threshold when every topic is too small', async () => {
+  const project = { ...setup('reflect-topics'), reflectorThreshold: 10, reflectorBackend: { type: 'unreachable' } };
+  const records = ['tooling', 'dev-server', 'testing'].map(topic =>
+    normalizeRecord({ category: 'gotcha', statement: `A ${topic} quirk worth keeping in mind`, confidence: 'high', topic }, { sessionId: 's1' }));
+  await quietly(() => saveRecords(project.path, records, { kind: 'observer' }));
+  await quietly(() => setMemoryLayout(project.path, 'topics'));
+
+  const { result, messages } = await quietly(() => reflectIfNeeded(project));
+  assert.equal(result, false);
+  assert.ok(!messages.some(m => /Threshold exceeded/.test(m)));
+});
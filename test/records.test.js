@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  validateRecord, normalizeRecord, parseRecords, dedupeRecords, topicSlug, renderRecord, renderMarkdown,
+  importMarkdown, loadRecords, syncRecords, saveRecords, renderMemoryFiles, setMemoryLayout, memoryLayout,
+} from '../src/records.js';
+import { useTempHome, makeProject, quietly } from './helpers.js';
+
+const home = useTempHome();
+
+function record(statement, extra = {}) {
+  return normalizeRecord({ category: 'gotcha', statement, files: [], confidence: 'high', ...extra }, { sessionId: 'abcd1234' });
+}
+
+test('validates the fields a model emits', () => {
+  assert.deepEqual(validateRecord({ category: 'decision', statement: 'Use X' }), []);
+  assert.deepEqual(validateRecord(null), ['record must be an object']);
+
+  const errors = validateRecord({ category: 'opinion', statement: ' ', files: 'a.js', confidence: 'sure' });
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /category must be one of/);
+});
+
+test('normalizes records, keeping only schema fields', () => {
+  const r = normalizeRecord({ category: 'note', statement: '  two\n  lines ', topic: 'Auth & Sessions', files: [' a.js ', 'a.js', ''], extra: 1 }, { sessionId: 's1' });
+  assert.equal(r.statement, 'two lines');
+  assert.equal(r.topic, 'auth-sessions');
+  assert.deepEqual(r.files, ['a.js']);
+  assert.equal(r.confidence, 'medium');
+  assert.equal(r.sessionId, 's1');
+  assert.match(r.id, /^[0-9a-f]{8}$/);
+  assert.equal('extra' in r, false);
+});
+
+test('turns topic names into file-safe slugs', () => {
+  assert.equal(topicSlug('Build / CI'), 'build-ci');
+  assert.equal(topicSlug('---'), null);
+  assert.equal(topicSlug('INDEX'), null);
+  assert.equal(topicSlug(42), null);
+});
+
+test('parses JSON records and drops invalid ones', async () => {
+  const text = '```json\n[{"category":"decision","statement":"Use pg"},{"category":"bogus","statement":"x"}]\n```';
+  const { result, messages } = await quietly(() => parseRecords(text));
+  assert.deepEqual(result, [{ category: 'decision', statement: 'Use pg' }]);
+  assert.match(messages[0], /Dropping invalid record/);
+});
+
+test('imports bullets as notes when the output is not JSON', async () => {
+  const { result } = await quietly(() => parseRecords('- First thing\n  continued\n- Second thing'));
+  assert.deepEqual(result.map(r => [r.category, r.statement]), [['note', 'First thing\n  continued'], ['note', 'Second thing']]);
+});
+
+test('drops duplicate statements and keeps their provenance', () => {
+  const kept = record('Tests need `npm run build` first.', { provenance: [{ file: 'a.jsonl', fromOffset: 0, toOffset: 10 }] });
+  const duplicate = record('tests need `npm run build` first', { provenance: [{ file: 'b.jsonl', fromOffset: 5, toOffset: 20 }] });
+  const other = record('Port 5432 is taken by a local Postgres');
+
+  const out = dedupeRecords([duplicate, other], [kept]);
+  assert.deepEqual(out, [other]);
+  assert.deepEqual(kept.provenance.map(p => p.file), ['a.jsonl', 'b.jsonl']);
+});
+
+test('renders records grouped by category', () => {
+  const records = [
+    record('Config lives in config.js', { category: 'location', files: ['src/config.js'] }),
+    record('Maybe flaky on CI', { confidence: 'low' }),
+  ];
+  assert.equal(renderRecord(records[0]), '- Config lives in config.js (`src/config.js`)');
+  assert.equal(renderRecord(records[1]), '- Maybe flaky on CI _(unconfirmed)_');
+  assert.equal(renderMarkdown(records), '# Observations\n\n## Locations\n\n- Config lives in config.js (`src/config.js`)\n\n## Gotchas\n\n- Maybe flaky on CI _(unconfirmed)_\n');
+});
+
+test('imports a free-form OBSERVATIONS.md with its session headers', () => {
+  const records = importMarkdown('# Observations\n\n## 2026-01-02 10:30 — Session abcdef12\n\n- One\n- one\n- Two\n');
+  assert.deepEqual(records.map(r => r.statement), ['One', 'Two']);
+  assert.equal(records[0].sessionId, 'abcdef12');
+  assert.equal(records[0].createdAt, '2026-01-02T10:30:00.000Z');
+});
+
+test('folds manual edits to OBSERVATIONS.md into the records', async () => {
+  const project = makeProject(home, 'manual-edits');
+  const records = [record('Keep this one'), record('Delete this one')];
+  await quietly(() => saveRecords(project, records, { kind: 'observer' }));
+
+  const file = path.join(project, 'OBSERVATIONS.md');
+  const edited = fs.readFileSync(file, 'utf-8').replace('- Delete this one\n', '') + '- Added by hand\n';
+  fs.writeFileSync(file, edited);
+
+  const { result } = await quietly(() => loadRecords(project));
+  assert.deepEqual(result.map(r => [r.statement, r.category]), [['Keep this one', 'gotcha'], ['Added by hand', 'note']]);
+  assert.equal(result[0].id, records[0].id);
+  // loadRecords doesn't write; the file still holds the hand edit
+  assert.equal(fs.readFileSync(file, 'utf-8'), edited);
+});
+
+test('switches between the file and topic layouts', async () => {
+  const project = makeProject(home, 'layouts');
+  const records = [record('Auth uses JWT', { topic: 'auth' }), record('CI runs on Node 20', { topic: 'build' })];
+  await quietly(() => saveRecords(project, records, { kind: 'observer' }));
+
+  await quietly(() => setMemoryLayout(project, 'topics'));
+  assert.equal(memoryLayout(project), 'topics');
+  assert.ok(!fs.existsSync(path.join(project, 'OBSERVATIONS.md')));
+  assert.deepEqual(fs.readdirSync(path.join(project, '.claude/memory')).sort(), ['INDEX.md', 'auth.md', 'build.md']);
+  for (const [rel, content] of renderMemoryFiles(syncRecords(project), 'topics')) {
+    assert.equal(fs.readFileSync(path.join(project, rel), 'utf-8'), content);
+  }
+
+  await quietly(() => setMemoryLayout(project, 'file'));
+  assert.equal(memoryLayout(project), 'file');
+  assert.ok(!fs.existsSync(path.join(project, '.claude/memory')));
+  assert.deepEqual(loadRecords(project).map(r => r.id), records.map(r => r.id));
+});
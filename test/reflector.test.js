@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConsolidation, runReflector } from '../src/reflector.js';
+import { normalizeRecord, saveRecords, loadRecords, setMemoryLayout } from '../src/records.js';
+import { readLedger } from '../src/ledger.js';
+import { useTempHome, makeProject, quietly } from './helpers.js';
+
+const home = useTempHome();
+
+function record(statement, extra = {}) {
+  return normalizeRecord({ category: 'gotcha', statement, confidence: 'high', ...extra }, { sessionId: 's1' });
+}
+
+test('accepts a consolidation that keeps the specifics', () => {
+  const records = [
+    record('`npm test` fails with ECONNREFUSED unless Postgres runs', { files: ['docker-compose.yml'] }),
+    record('Start Postgres with docker compose before `npm test`'),
+  ];
+  const consolidated = [record('`npm test` needs Postgres running (ECONNREFUSED otherwise); start it with docker compose', { files: ['docker-compose.yml'] })];
+
+  const validation = validateConsolidation(records, consolidated);
+  assert.equal(validation.ok, true, validation.problems.join('; '));
+});
+
+test('rejects a consolidation that loses specifics or shrinks too far', () => {
+  const records = [
+    record('src/api/auth.js throws TypeError when `userId` is missing', { files: ['src/api/auth.js'] }),
+    record('src/db/pool.js leaks connections on ECONNRESET', { files: ['src/db/pool.js'] }),
+    record('src/cli/run.js ignores `--dry-run`', { files: ['src/cli/run.js'] }),
+    record('src/web/app.js needs NODE_ENV=production for `buildAssets()`', { files: ['src/web/app.js'] }),
+  ];
+  const validation = validateConsolidation(records, [record('There are some bugs')]);
+
+  assert.equal(validation.ok, false);
+  assert.ok(validation.problems.some(p => /lost \d+ of \d+ file paths/.test(p)));
+  assert.ok(validation.problems.some(p => /of the input size/.test(p)));
+  assert.ok(validation.lost.paths.includes('src/api/auth.js'));
+});
+
+test('rejects empty output', () => {
+  const validation = validateConsolidation([record('Anything')], []);
+  assert.ok(validation.problems.includes('no valid records in output'));
+});
+
+test('consolidates the records and records the merge in the ledger', async () => {
+  const project = makeProject(home, 'reflect');
+  const a = record('Run migrations with `npm run migrate` before starting the server');
+  const b = record('The server refuses to start until `npm run migrate` has run');
+  const c = record('Logs go to logs/app.log', { category: 'location' });
+  await quietly(() => saveRecords(project, [a, b, c], { kind: 'observer' }));
+
+  const output = [
+    { category: 'gotcha', statement: 'Run `npm run migrate` before starting the server, or it refuses to start', confidence: 'high', from: [a.id, b.id] },
+    // Echoed back as it was sent
+    { ...c, provenance: undefined, from: [c.id] },
+  ];
+  const backend = { type: 'mock', responses: [`<observation_file_contents>${JSON.stringify(output)}</observation_file_contents>`] };
+  const { result } = await quietly(() => runReflector(project, backend));
+  assert.equal(result, true);
+
+  const records = loadRecords(project);
+  assert.equal(records.length, 2);
+  // A record echoed back unchanged keeps its id and isn't rewritten
+  assert.deepEqual(records.find(r => r.category === 'location'), c);
+
+  const reflected = readLedger(project).filter(e => e.pass.kind === 'reflector');
+  assert.deepEqual(reflected.map(e => [e.op, e.from]), [['merge', [a.id, b.id]]]);
+});
+
+test('keeps the original when no rewrite passes validation', async () => {
+  const project = makeProject(home, 'reflect-rejected');
+  const records = ['src/a.js', 'src/b.js', 'src/c.js', 'src/d.js'].map(f => record(`${f} has a quirk`, { files: [f] }));
+  await quietly(() => saveRecords(project, records, { kind: 'observer' }));
+
+  const backend = { type: 'mock', responses: ['<observation_file_contents>[{"category":"gotcha","statement":"Files have quirks"}]</observation_file_contents>'] };
+  const { result, messages } = await quietly(() => runReflector(project, backend));
+  assert.equal(result, false);
+  assert.ok(messages.some(m => /No acceptable rewrite, keeping original/.test(m)));
+  assert.deepEqual(loadRecords(project).map(r => r.id), records.map(r => r.id));
+});
+
+test('does not run when no topic is large enough to consolidate', async () => {
+  const project = makeProject(home, 'reflect-small-topics');
+  const records = [record('Use pnpm', { topic: 'tooling' }), record('Port 3000 is taken', { topic: 'dev-server' })];
+  await quietly(() => saveRecords(project, records, { kind: 'observer' }));
+  await quietly(() => setMemoryLayout(project, 'topics'));
+
+  // Fails if it is called
+  const backend = { type: 'unreachable' };
+  for (const dryRun of [true, false]) {
+    const { result, messages } = await quietly(() => runReflector(project, backend, { dryRun }));
+    assert.equal(result, false);
+    assert.ok(messages.some(m => /No topic is large enough to consolidate/.test(m)));
+  }
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import config from '../src/config.js';
+import { enqueueRetry, loadRetryQueue, dueRetries, settleRetry, discardRetries, currentRetry } from '../src/retry.js';
+import { stateDir } from '../src/state.js';
+import { useTempHome, quietly } from './helpers.js';
+
+useTempHome();
+
+let projects = 0;
+const newProject = () => `/projects/retry-${++projects}`;
+
+test('queues a failed range with the base backoff', () => {
+  const project = newProject();
+  const before = Date.now();
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('backend down'));
+
+  const { pending, deadLetters } = loadRetryQueue(project);
+  assert.equal(deadLetters.length, 0);
+  assert.equal(pending.length, 1);
+  assert.equal(pending[0].attempts, 1);
+  assert.equal(pending[0].lastError, 'backend down');
+  const delay = Date.parse(pending[0].nextAttemptAt) - before;
+  assert.ok(delay >= config.RETRY_BASE_DELAY_MS - 1000 && delay <= config.RETRY_BASE_DELAY_MS + 1000);
+});
+
+test('doubles the backoff on each failure, up to the cap', () => {
+  const project = newProject();
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('1'));
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('2'));
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('3'));
+
+  const [entry] = loadRetryQueue(project).pending;
+  assert.equal(entry.attempts, 3);
+  const delay = Date.parse(entry.nextAttemptAt) - Date.parse(entry.lastFailedAt);
+  assert.equal(delay, Math.min(config.RETRY_BASE_DELAY_MS * 4, config.RETRY_MAX_DELAY_MS));
+});
+
+test('moves a range to the dead letters after the last attempt', async () => {
+  const project = newProject();
+  await quietly(() => {
+    for (let i = 0; i < config.RETRY_MAX_ATTEMPTS; i++) {
+      enqueueRetry(project, 'a.jsonl', 0, 500, new Error(`failure ${i}`));
+    }
+  });
+
+  const { pending, deadLetters } = loadRetryQueue(project);
+  assert.equal(pending.length, 0);
+  assert.equal(deadLetters.length, 1);
+  assert.equal(deadLetters[0].attempts, config.RETRY_MAX_ATTEMPTS);
+  assert.equal(deadLetters[0].nextAttemptAt, undefined);
+});
+
+test('lists only ranges whose backoff has elapsed', () => {
+  const project = newProject();
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('x'));
+  enqueueRetry(project, 'b.jsonl', 0, 500, new Error('x'));
+  const queue = loadRetryQueue(project);
+
+  assert.equal(dueRetries(queue).length, 0);
+  assert.equal(dueRetries(queue, Date.now() + config.RETRY_BASE_DELAY_MS + 1000).length, 2);
+});
+
+test('settles a range: removed on success, backed off on failure', () => {
+  const project = newProject();
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('x'));
+  enqueueRetry(project, 'b.jsonl', 100, 500, new Error('x'));
+  const [a, b] = loadRetryQueue(project).pending;
+
+  settleRetry(project, a);
+  settleRetry(project, b, new Error('again'));
+
+  const { pending } = loadRetryQueue(project);
+  assert.deepEqual(pending.map(e => e.file), ['b.jsonl']);
+  assert.equal(pending[0].attempts, 2);
+  assert.equal(pending[0].lastError, 'again');
+});
+
+test('discards every range of a rewritten file', () => {
+  const project = newProject();
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('x'));
+  enqueueRetry(project, 'a.jsonl', 500, 900, new Error('x'));
+  enqueueRetry(project, 'b.jsonl', 0, 500, new Error('x'));
+
+  assert.equal(discardRetries(project, 'a.jsonl'), 2);
+  assert.deepEqual(loadRetryQueue(project).pending.map(e => e.file), ['b.jsonl']);
+});
+
+test('tells whether a range was retried since it was read', () => {
+  const project = newProject();
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('x'));
+  enqueueRetry(project, 'b.jsonl', 0, 500, new Error('x'));
+  const [a, b] = loadRetryQueue(project).pending;
+  assert.deepEqual(currentRetry(project, a), a);
+
+  settleRetry(project, a);
+  settleRetry(project, b, new Error('again'));
+  assert.equal(currentRetry(project, a), null);
+  assert.equal(currentRetry(project, b), null);
+});
+
+test('restores a corrupted queue from its backup instead of emptying it', async () => {
+  const project = newProject();
+  enqueueRetry(project, 'a.jsonl', 0, 500, new Error('x'));
+  enqueueRetry(project, 'b.jsonl', 0, 500, new Error('x'));
+  const file = path.join(stateDir(project), 'retry-queue.json');
+  fs.writeFileSync(file, '{"pending": [');
+
+  const { result } = await quietly(() => loadRetryQueue(project));
+  assert.deepEqual(result.pending.map(e => e.file), ['a.jsonl']);
+
+  fs.writeFileSync(file, 'garbage');
+  fs.rmSync(`${file}.bak`);
+  assert.throws(() => loadRetryQueue(project), /is corrupted/);
+  assert.throws(() => enqueueRetry(project, 'c.jsonl', 0, 500, new Error('x')), /is corrupted/);
+  assert.equal(fs.readFileSync(file, 'utf-8'), 'garbage');
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schedule, cancelJobs, isCancelled, schedulerStats } from '../src/scheduler.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A job that runs until release() is called (or its signal aborts)
+function blocker() {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  let started = false;
+  const fn = signal => {
+    started = true;
+    return new Promise((resolve, reject) => {
+      released.then(resolve);
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+  };
+  return { fn, release, started: () => started };
+}
+
+test('runs one job at a time per key', async () => {
+  const first = blocker();
+  const second = blocker();
+  const a = schedule('/p', 'first', first.fn);
+  const b = schedule('/p', 'second', second.fn);
+  await tick();
+
+  assert.ok(first.started());
+  assert.ok(!second.started());
+  first.release('a');
+  assert.equal(await a, 'a');
+  await tick();
+  assert.ok(second.started());
+  second.release('b');
+  assert.equal(await b, 'b');
+});
+
+test('coalesces pending jobs with the same dedupeKey', async () => {
+  const running = blocker();
+  const held = schedule('/p', 'running', running.fn);
+
+  let calls = 0;
+  const fn = async () => ++calls;
+  const a = schedule('/p', 'retry', fn, { dedupeKey: 'retry:x' });
+  const b = schedule('/p', 'retry', fn, { dedupeKey: 'retry:x' });
+  assert.equal(a, b);
+  assert.equal(schedulerStats().pending.length, 1);
+
+  running.release();
+  await held;
+  assert.equal(await a, 1);
+  assert.equal(calls, 1);
+});
+
+test('cancels pending and running jobs of a key', async () => {
+  const running = blocker();
+  const a = schedule('/cancel', 'running', running.fn);
+  const b = schedule('/cancel', 'pending', async () => 'never');
+  const other = schedule('/other', 'other', async () => 'kept');
+  await tick();
+
+  assert.equal(cancelJobs('/cancel'), 2);
+  await assert.rejects(a, err => isCancelled(err));
+  await assert.rejects(b, err => isCancelled(err));
+  assert.equal(await other, 'kept');
+});
+
+test('times out a job that runs too long', async () => {
+  const job = blocker();
+  const promise = schedule('/slow', 'slow', job.fn, { timeoutMs: 20 });
+  await assert.rejects(promise, err => err.code === 'JOB_TIMEOUT' && !isCancelled(err));
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import config from '../src/config.js';
+import { upgrade, toCount } from '../src/schema.js';
+import { readProjects, migrateProjectsFile, PROJECTS_SCHEMA_VERSION } from '../src/projects.js';
+import { loadState, migrateStateFile, stateDir, STATE_SCHEMA_VERSION } from '../src/state.js';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+
+const migrations = [
+  data => { data.items ??= []; },
+  data => { data.items = data.items.map(name => ({ name })); },
+];
+const validate = data => data.items.every(i => typeof i.name === 'string') ? [] : ['items need names'];
+
+test('runs the migrations from the file version to the current one', () => {
+  const data = { items: ['a'] };
+  assert.equal(upgrade(data, { file: 'f.json', migrations, validate }), 0);
+  assert.deepEqual(data, { version: 2, items: [{ name: 'a' }] });
+
+  const current = { version: 2, items: [{ name: 'b' }] };
+  assert.equal(upgrade(current, { file: 'f.json', migrations, validate }), 2);
+  assert.deepEqual(current, { version: 2, items: [{ name: 'b' }] });
+});
+
+test('refuses files from a newer version, or with a bad version', () => {
+  assert.throws(() => upgrade({ version: 3 }, { file: 'f.json', migrations, validate }), /schema version 3, but this claude-memory only understands up to version 2.*claude-memory update/);
+  assert.throws(() => upgrade({ version: 'x' }, { file: 'f.json', migrations, validate }), /invalid schema version/);
+  assert.throws(() => upgrade([], { file: 'f.json', migrations, validate }), /is not a JSON object/);
+});
+
+test('names the failing migration and lists validation problems', () => {
+  assert.throws(() => upgrade({ items: 'oops' }, { file: 'f.json', migrations, validate }), /migrating from schema version 1 to 2 failed/);
+  assert.throws(() => upgrade({ version: 2, items: [{}] }, { file: 'f.json', migrations, validate }), /f\.json is invalid \(schema version 2\):\n {2}- items need names\nFix or delete it, or restore f\.json\.bak\./);
+});
+
+test('reads counts the way older versions did', () => {
+  assert.equal(toCount('30000', 5), 30000);
+  assert.equal(toCount('', 5), 5);
+  assert.equal(toCount(0, 5), 5);
+  assert.equal(toCount(12, 5), 12);
+  assert.equal(toCount('abc', 5), 'abc');
+});
+
+test('migrates an unversioned projects.json', () => {
+  fs.mkdirSync(config.DAEMON_DIR, { recursive: true });
+  fs.writeFileSync(config.PROJECTS_FILE, JSON.stringify({ projects: [{ path: '/home/me/app', reflectorThreshold: '30000', skipCatchup: 0, maxInjectedTokens: null }] }));
+
+  assert.equal(migrateProjectsFile(), 0);
+  assert.equal(migrateProjectsFile(), null);
+  const { version, projects } = readProjects();
+  assert.equal(version, PROJECTS_SCHEMA_VERSION);
+  assert.deepEqual(projects, [{ path: '/home/me/app', claudeProjectDir: '-home-me-app', reflectorThreshold: 30000, skipCatchup: false, registeredAt: null }]);
+});
+
+test('rejects an invalid projects.json with every problem listed', () => {
+  fs.writeFileSync(config.PROJECTS_FILE, JSON.stringify({ version: 1, projects: [{ path: 'relative', claudeProjectDir: 'x', reflectorThreshold: 10, skipCatchup: false, registeredAt: null }] }));
+  assert.throws(() => readProjects(), err => /path must be an absolute path/.test(err.message) && /reflectorThreshold must be a whole number >= 1000/.test(err.message));
+});
+
+test('migrates an unversioned state file', () => {
+  const project = '/home/me/state-app';
+  const file = path.join(stateDir(project), 'observer-state.json');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ files: { 'a.jsonl': { offset: 100 } } }));
+
+  assert.equal(migrateStateFile(project), 0);
+  assert.deepEqual(loadState(project), {
+    version: STATE_SCHEMA_VERSION,
+    files: { 'a.jsonl': { offset: 100, observationCount: 0, lastProcessed: null } },
+    lastReflection: null,
+    totalObserverPasses: 0,
+    totalReflectorPasses: 0,
+  });
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import config from '../src/config.js';
+import { sessionIndex, sessionThread, previousContext } from '../src/sessions.js';
+import { tempDir, writeTranscript } from './helpers.js';
+
+const dir = tempDir();
+
+const entry = (uuid, parentUuid, text, extra = {}) => ({
+  type: 'user', uuid, parentUuid, timestamp: '2026-01-01T10:00:00.000Z', message: { content: text }, ...extra,
+});
+
+test('links a resumed session to the one it continues, and titles it', () => {
+  writeTranscript(path.join(dir, 'first.jsonl'), [
+    entry('a1', null, 'Set up the database', { timestamp: '2026-01-01T10:00:00.000Z' }),
+    entry('a2', 'a1', 'Add migrations', { timestamp: '2026-01-01T10:05:00.000Z' }),
+    { type: 'summary', summary: 'Database setup', leafUuid: 'a2' },
+  ]);
+  writeTranscript(path.join(dir, 'second.jsonl'), [
+    entry('b1', 'a2', 'Continue with seeds', { timestamp: '2026-01-02T09:00:00.000Z' }),
+  ]);
+  writeTranscript(path.join(dir, 'agent-x.jsonl'), [entry('x1', null, 'subagent')]);
+
+  const sessions = sessionIndex(dir);
+  assert.deepEqual(sessions.map(s => s.sessionId), ['first', 'second']);
+  const [first, second] = sessions;
+  assert.equal(first.title, 'Database setup');
+  assert.equal(second.continues, first);
+  assert.deepEqual(first.continuedBy, [second]);
+
+  assert.equal(previousContext(path.join(dir, 'second.jsonl'), 0), 'Continues session first ("Database setup"), last active 2026-01-01 10:05');
+});
+
+test('gives a delta the compaction summary before it', () => {
+  const file = writeTranscript(path.join(dir, 'compacted.jsonl'), [
+    entry('c1', null, 'Long task'),
+    entry('c2', 'c1', 'We refactored the auth module and kept the old API.', { isCompactSummary: true }),
+    entry('c3', 'c2', 'Next step'),
+  ]);
+  const size = fs.statSync(file).size;
+
+  assert.equal(previousContext(file, 0), '');
+  assert.equal(previousContext(file, size), 'Earlier in this session (compaction summary):\nWe refactored the auth module and kept the old API.');
+});
+
+test('extends its scan as a file grows', () => {
+  const file = path.join(dir, 'first.jsonl');
+  fs.appendFileSync(file, JSON.stringify(entry('a3', 'a2', 'More', { timestamp: '2026-01-03T00:00:00.000Z' })) + '\n');
+  const first = sessionIndex(dir).find(s => s.sessionId === 'first');
+  assert.ok(first.uuids.has('a3'));
+  assert.equal(first.lastTimestamp, '2026-01-03T00:00:00.000Z');
+});
+
+test('finds the session a file continues without indexing the project', () => {
+  const threads = tempDir();
+  writeTranscript(path.join(threads, 'old.jsonl'), [
+    entry('o1', null, 'Plan the API', { timestamp: '2026-02-01T10:00:00.000Z' }),
+    { type: 'summary', summary: 'API plan', leafUuid: 'o1' },
+  ]);
+  // An older-style resume copies the history it continues
+  writeTranscript(path.join(threads, 'resumed.jsonl'), [
+    entry('o1', null, 'Plan the API', { timestamp: '2026-02-01T10:00:00.000Z' }),
+    entry('r1', 'o1', 'Write the handlers', { timestamp: '2026-02-02T10:00:00.000Z' }),
+  ]);
+
+  const resumed = sessionThread(path.join(threads, 'resumed.jsonl'));
+  assert.equal(resumed.continues.sessionId, 'old');
+  assert.equal(resumed.continues.title, 'API plan');
+  assert.equal(sessionThread(path.join(threads, 'old.jsonl')).continues, null);
+});
+
+test('keeps only the most recently used scans, and rescans evicted files', () => {
+  const many = tempDir();
+  const limit = config.SESSION_CACHE_MAX_FILES;
+  config.SESSION_CACHE_MAX_FILES = 2;
+  try {
+    for (let i = 0; i < 4; i++) {
+      writeTranscript(path.join(many, `s${i}.jsonl`), [entry(`s${i}`, i ? `s${i - 1}` : null, `Step ${i}`, { timestamp: `2026-03-0${i + 1}T10:00:00.000Z` })]);
+    }
+    assert.equal(sessionThread(path.join(many, 's3.jsonl')).continues.sessionId, 's2');
+    assert.equal(sessionThread(path.join(many, 's1.jsonl')).continues.sessionId, 's0');
+    assert.deepEqual(sessionIndex(many).map(s => s.continues?.sessionId ?? null), [null, 's0', 's1', 's2']);
+  } finally {
+    config.SESSION_CACHE_MAX_FILES = limit;
+  }
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/config.js';
+import { readJson, updateJson } from '../src/storage.js';
+import { tryLock, releaseLock, readLock, acquireObservationsLock } from '../src/lock.js';
+import { tempDir, quietly } from './helpers.js';
+
+const dir = tempDir();
+
+test('reads a missing file as null', () => {
+  assert.equal(readJson(path.join(dir, 'missing.json')), null);
+});
+
+test('updates a file, keeping the version it replaces as a backup', () => {
+  const file = path.join(dir, 'update.json');
+  updateJson(file, { count: 0 }, data => { data.count++; });
+  updateJson(file, { count: 0 }, data => { data.count++; });
+
+  assert.deepEqual(readJson(file), { count: 2 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf-8')), { count: 1 });
+  assert.ok(!fs.existsSync(`${file}.lock`));
+});
+
+test('skips the write when mutate returns false', () => {
+  const file = path.join(dir, 'skip.json');
+  assert.equal(updateJson(file, {}, () => false), false);
+  assert.ok(!fs.existsSync(file));
+});
+
+test('restores a corrupted file from its backup', async () => {
+  const file = path.join(dir, 'corrupt.json');
+  updateJson(file, { n: 0 }, data => { data.n = 1; });
+  updateJson(file, { n: 0 }, data => { data.n = 2; });
+  fs.writeFileSync(file, '{"n": 2');
+
+  const { result, messages } = await quietly(() => readJson(file));
+  assert.deepEqual(result, { n: 1 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), { n: 1 });
+  assert.equal(fs.readFileSync(`${file}.corrupt`, 'utf-8'), '{"n": 2');
+  assert.match(messages[0], /was corrupted/);
+});
+
+test('restores a corrupted file only while holding its lock', async () => {
+  const file = path.join(dir, 'locked.json');
+  updateJson(file, { n: 0 }, data => { data.n = 1; });
+  updateJson(file, { n: 0 }, data => { data.n = 2; });
+  fs.writeFileSync(file, '{"n": 2');
+
+  const timeout = config.FILE_LOCK_TIMEOUT_MS;
+  config.FILE_LOCK_TIMEOUT_MS = 100;
+  const handle = tryLock(`${file}.lock`, { owner: 'writer', staleMs: 60000 });
+  try {
+    assert.throws(() => readJson(file), /Timed out waiting for .*locked\.json\.lock/);
+    assert.equal(fs.readFileSync(file, 'utf-8'), '{"n": 2');
+    assert.ok(!fs.existsSync(`${file}.corrupt`));
+  } finally {
+    releaseLock(handle);
+    config.FILE_LOCK_TIMEOUT_MS = timeout;
+  }
+
+  const { result } = await quietly(() => readJson(file));
+  assert.deepEqual(result, { n: 1 });
+  assert.ok(!fs.existsSync(`${file}.lock`));
+});
+
+test('gives up on a held lock after FILE_LOCK_TIMEOUT_MS', () => {
+  const file = path.join(dir, 'held.json');
+  const timeout = config.FILE_LOCK_TIMEOUT_MS;
+  config.FILE_LOCK_TIMEOUT_MS = config.DAEMON_FILE_LOCK_TIMEOUT_MS;
+  const handle = tryLock(`${file}.lock`, { owner: 'cli', staleMs: 60000 });
+  const started = Date.now();
+  try {
+    assert.throws(() => updateJson(file, {}, data => { data.x = 1; }), /Timed out waiting/);
+    assert.ok(Date.now() - started < config.DAEMON_FILE_LOCK_TIMEOUT_MS + 500);
+  } finally {
+    releaseLock(handle);
+    config.FILE_LOCK_TIMEOUT_MS = timeout;
+  }
+});
+
+test('throws for a corrupted file without a usable backup', () => {
+  const file = path.join(dir, 'lost.json');
+  fs.writeFileSync(file, 'not json');
+  assert.throws(() => readJson(file), /is corrupted .* and has no usable backup/);
+});
+
+test('does not take a lock held by a live process', () => {
+  const lockPath = path.join(dir, 'live.lock');
+  const handle = tryLock(lockPath, { owner: 'test', staleMs: 60000 });
+  assert.ok(handle);
+  assert.equal(tryLock(lockPath, { owner: 'other', staleMs: 60000 }), null);
+  assert.equal(readLock(lockPath).owner, 'test');
+
+  releaseLock(handle);
+  assert.ok(!fs.existsSync(lockPath));
+});
+
+test('takes over a lock whose process is gone', async () => {
+  const lockPath = path.join(dir, 'dead.lock');
+  // Pids above the kernel's pid_max never belong to a live process
+  fs.writeFileSync(lockPath, JSON.stringify({ owner: 'crashed', pid: 2 ** 30, host: os.hostname(), token: 'old' }));
+
+  const { result: handle, messages } = await quietly(() => tryLock(lockPath, { owner: 'test', staleMs: 60000 }));
+  assert.ok(handle);
+  assert.match(messages[0], /Removing stale lock/);
+  releaseLock(handle);
+});
+
+test('takes over a lock that was not refreshed in time', async () => {
+  const lockPath = path.join(dir, 'old.lock');
+  fs.writeFileSync(lockPath, JSON.stringify({ owner: 'elsewhere', pid: 1, host: 'another-host', token: 'old' }));
+  const past = new Date(Date.now() - 120000);
+  fs.utimesSync(lockPath, past, past);
+
+  assert.equal(tryLock(lockPath, { owner: 'test', staleMs: 600000 }), null);
+  const { result: handle } = await quietly(() => tryLock(lockPath, { owner: 'test', staleMs: 60000 }));
+  assert.ok(handle);
+  releaseLock(handle);
+});
+
+test('does not release a lock another process has taken over', () => {
+  const lockPath = path.join(dir, 'taken.lock');
+  const handle = tryLock(lockPath, { owner: 'test', staleMs: 60000 });
+  fs.writeFileSync(lockPath, JSON.stringify({ owner: 'other', pid: process.pid, token: 'theirs' }));
+
+  releaseLock(handle);
+  assert.equal(readLock(lockPath).token, 'theirs');
+});
+
+test('stops refreshing a lock another process has taken over', async () => {
+  const project = path.join(dir, 'heartbeat');
+  const heartbeat = config.LOCK_HEARTBEAT_MS;
+  config.LOCK_HEARTBEAT_MS = 20;
+  const handle = await acquireObservationsLock(project, 'test');
+  try {
+    const lockPath = path.join(project, config.LOCK_FILE);
+    fs.writeFileSync(lockPath, JSON.stringify({ owner: 'other', pid: process.pid, token: 'theirs' }));
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, past, past);
+
+    const { messages } = await quietly(() => new Promise(resolve => setTimeout(resolve, 100)));
+    assert.equal(Math.round(fs.statSync(lockPath).mtimeMs / 1000), Math.round(past.getTime() / 1000));
+    assert.equal(messages.filter(m => /taken over by another process/.test(m)).length, 1);
+  } finally {
+    releaseLock(handle);
+    config.LOCK_HEARTBEAT_MS = heartbeat;
+  }
+});